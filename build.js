@@ -1,40 +1,111 @@
 const { writeFileSync } = require('node:fs');
-const { join, sep } = require('node:path');
+const { join, relative, sep } = require('node:path');
 
 const prettier = require('prettier');
 
-const { configs, environments } = require('./src/config');
+const {
+  configs,
+  environments,
+  testRunnerOverrides,
+  moduleTypeOverrides,
+  legacyTargets,
+  strictRules,
+  strictTypescriptRules,
+  rationale,
+} = require('./src/config');
+const { convertBlock, toFlatConfigs, toFlatOverride } = require('./src/flat');
 
 const resolveStart = '__REQUIRE_RESOLVE__';
 const resolveEnd = '__END_REQUIRE_RESOLVE__';
 
+/**
+ * Takes an absolute path to a module and changes it to a specifier that works from the dist folder
+ *
+ * @param {string} path
+ */
+const toSpecifier = (path) => {
+  const nodeModules = join(__dirname, `node_modules${sep}`);
+  // Files that are a part of this package are required relative to the dist folder
+  if (!path.startsWith(nodeModules))
+    return relative(join(__dirname, 'dist'), path).split(sep).join('/');
+  const pathWithoutNodeModules = path.replace(nodeModules, '');
+  // Takes the file path and changes it to just the name of the package the path was in
+  return pathWithoutNodeModules.startsWith('@')
+    ? // If it is a part of a npm org, then it will be two levels deep: @___/___
+      /^@[^/]*\/[^/]*/.exec(pathWithoutNodeModules)[0]
+    : // Otherwise, it will just be one level deep: ___
+      /^[^/]*/.exec(pathWithoutNodeModules)[0];
+};
+
 // Require.resolve needs to be dynamic and cannot be statically stringified with JSON.stringify
-const stringify = (data) =>
+// eslintrc configs reference parsers by path (require.resolve),
+// flat configs reference parsers and plugins by the module itself (require)
+const stringify = (data, requireFunction) =>
   `module.exports = ${JSON.stringify(data, (k, v) => {
-    if (k === 'parser' && typeof v === 'string' && v.startsWith(__dirname)) {
-      const pathWithoutNodeModules = v.replace(
-        join(__dirname, `node_modules${sep}`),
-        ''
-      );
-      // Takes the file path and changes it to just the name of the package the path was in
-      const packagePath = pathWithoutNodeModules.startsWith('@')
-        ? // If it is a part of a npm org, then it will be two levels deep: @___/___
-          /^@[^/]*\/[^/]*/.exec(pathWithoutNodeModules)[0]
-        : // Otherwise, it will just be one level deep: ___
-          /^[^/]*/.exec(pathWithoutNodeModules)[0];
-      return `${resolveStart}${packagePath}${resolveEnd}`;
-    }
+    if (
+      (k === 'parser' || k === 'plugins') &&
+      typeof v === 'string' &&
+      v.startsWith(__dirname)
+    )
+      return `${resolveStart}${toSpecifier(v)}${resolveEnd}`;
 
     return v;
   })}`.replace(
     // Wrap the relative parser path with require.resolve
     new RegExp(`"${resolveStart}(.*?)${resolveEnd}"`, 'g'),
-    (_match, replacement) => `require.resolve("${replacement}")`
+    (_match, replacement) => `${requireFunction}("${replacement}")`
   );
 
-const createFile = (data) =>
+const createFile = (data, requireFunction = 'require.resolve') =>
   // Clean up the file so that it is readable
-  prettier.format(stringify(data), { parser: 'babel', singleQuote: true });
+  prettier.format(stringify(data, requireFunction), {
+    parser: 'babel',
+    singleQuote: true,
+  });
+
+/**
+ * Converts a map of eslintrc overrides into flat config objects
+ *
+ * @param {{[key: string]: import('eslint').Linter.ConfigOverride}} overrides
+ */
+const toFlatOverrides = (overrides) =>
+  Object.fromEntries(
+    Object.entries(overrides).map(([key, override]) => [
+      key,
+      toFlatOverride(override, environments),
+    ])
+  );
 
 // Snapshots the merged config to make debugging rules easier and to reduce dependencies
-writeFileSync(join('dist', 'config.js'), createFile({ configs, environments }));
+writeFileSync(
+  join('dist', 'config.js'),
+  createFile({
+    configs,
+    environments,
+    testRunnerOverrides,
+    moduleTypeOverrides,
+    legacyTargets,
+    // The rule names are the same in both formats, so createConfig uses these for flat configs too
+    strictRules,
+    strictTypescriptRules,
+    rationale,
+  })
+);
+// The flat config is generated from the same configs, so that they can't drift apart
+writeFileSync(
+  join('dist', 'flat.js'),
+  createFile(
+    {
+      configs: toFlatConfigs(configs, environments),
+      testRunnerOverrides: toFlatOverrides(testRunnerOverrides),
+      moduleTypeOverrides: toFlatOverrides(moduleTypeOverrides),
+      legacyTargets: Object.fromEntries(
+        Object.entries(legacyTargets).map(([version, target]) => [
+          version,
+          convertBlock(target, environments),
+        ])
+      ),
+    },
+    'require'
+  )
+);
@@ -0,0 +1,32 @@
+const {
+  configs: snapshot,
+  testRunnerOverrides,
+  moduleTypeOverrides,
+} = require('./dist/flat');
+const { withFlatCheckedJsFiles } = require('./src/check-js');
+const { withFlatImportAliases } = require('./src/import-aliases');
+const { withFlatModuleType } = require('./src/module-type');
+const { withFlatNodeTarget } = require('./src/node-target');
+const { finalizePresets } = require('./src/project');
+const { withFlatTestRunner } = require('./src/test-runner');
+
+// Parts of the presets depend on the project being linted, so they can't be a part of the snapshot
+const configs = finalizePresets(snapshot, (config, name) => {
+  // The check-js preset is used after another preset,
+  // which already has the test runner and the module type
+  if (name === 'check-js') return withFlatCheckedJsFiles(config);
+  return withFlatImportAliases(
+    withFlatModuleType(
+      withFlatTestRunner(
+        name === 'node' ? withFlatNodeTarget(config) : config,
+        testRunnerOverrides
+      ),
+      moduleTypeOverrides,
+      name
+    )
+  );
+});
+
+// `require('@cloudfour/eslint-plugin/flat')` gives the recommended preset,
+// the rest of the presets are available under `.configs`
+module.exports = Object.assign([...configs.recommended], { configs });
@@ -207,7 +207,6 @@ const { versionBump, summary } = await prompts(
       message: 'Summary',
     },
   ],
-  // eslint-disable-next-line @cloudfour/n/no-process-exit, @cloudfour/unicorn/no-process-exit
   { onCancel: () => process.exit(1) }
 );
 
@@ -1,4 +1,42 @@
-const { configs, environments } = require('./dist/config');
+const {
+  configs,
+  environments,
+  testRunnerOverrides,
+  moduleTypeOverrides,
+} = require('./dist/config');
+const { withCheckedJsFiles } = require('./src/check-js');
+const { createConfig } = require('./src/create-config');
+const { explainRule } = require('./src/explain-rule');
+const { withImportAliases } = require('./src/import-aliases');
+const { withModuleType } = require('./src/module-type');
+const { withNodeTarget } = require('./src/node-target');
+const html = require('./src/processors/html');
+const markdown = require('./src/processors/markdown');
+const mdx = require('./src/processors/mdx');
+const { finalizePresets } = require('./src/project');
 const rules = require('./src/rules');
+const { withTestRunner } = require('./src/test-runner');
 
-module.exports = { configs, environments, rules };
+module.exports = {
+  // Parts of the presets depend on the project being linted, so they can't be a part of the snapshot
+  configs: finalizePresets(configs, (config, name) => {
+    // The check-js preset is extended after another preset,
+    // which already has the test runner and the module type
+    if (name === 'check-js') return withCheckedJsFiles(config);
+    return withImportAliases(
+      withModuleType(
+        withTestRunner(
+          name === 'node' ? withNodeTarget(config) : config,
+          testRunnerOverrides
+        ),
+        moduleTypeOverrides,
+        name
+      )
+    );
+  }),
+  createConfig,
+  environments,
+  explainRule,
+  processors: { html, markdown, mdx },
+  rules,
+};
@@ -0,0 +1,21 @@
+const { readdirSync } = require('node:fs');
+const { join, relative } = require('node:path');
+
+/**
+ * Finds the test files next to the source files, like src/rules/prefer-early-return/index.test.js
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+const findTests = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return findTests(path);
+    return entry.name.endsWith('.test.js') ? [path] : [];
+  });
+
+// Each test file throws when one of its tests fails, which stops the run
+for (const file of findTests(join(__dirname, 'src'))) {
+  console.log(relative(__dirname, file));
+  require(file);
+}
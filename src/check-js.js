@@ -0,0 +1,197 @@
+const { existsSync } = require('node:fs');
+const { dirname, join, relative, resolve, sep } = require('node:path');
+
+const { findProjectRoot, findUp, readPackageJson } = require('./project');
+const { findProjects } = require('./typescript-parser');
+
+const jsExtension = /\.[cm]?jsx?$/;
+const jsExtensions = '{js,cjs,mjs,jsx}';
+
+/** The eslintrc files that ESLint looks for in each folder */
+const eslintrcFiles = [
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yaml',
+  '.eslintrc.yml',
+  '.eslintrc.json',
+  '.eslintrc',
+];
+
+/**
+ * Finds the folder of the closest eslintrc file to `cwd`, since eslintrc resolves the `files` of overrides from there
+ * A package.json only counts if it has `eslintConfig`
+ * Falls back to `cwd`, like ESLint does for configs that are passed with `--config`
+ *
+ * @param {string} cwd
+ */
+const findEslintrcDir = (cwd) => {
+  let dir = cwd;
+  while (true) {
+    if (
+      eslintrcFiles.some((fileName) => existsSync(join(dir, fileName))) ||
+      (existsSync(join(dir, 'package.json')) &&
+        readPackageJson(dir).eslintConfig)
+    )
+      return dir;
+    const parent = dirname(dir);
+    if (parent === dir) return cwd;
+    dir = parent;
+  }
+};
+
+/**
+ * Finds the folder of the flat config file that ESLint uses, since flat configs resolve `files` from there
+ *
+ * @param {string} cwd
+ */
+const findFlatConfigDir = (cwd) => {
+  const configPath = findUp('eslint.config.js', cwd);
+  return configPath ? dirname(configPath) : cwd;
+};
+
+/**
+ * Changes a path in a tsconfig into an ESLint glob that is relative to the folder of the ESLint config
+ * Returns undefined for paths outside of that folder, because ESLint can't match files outside of it
+ *
+ * @param {string} configDir
+ * @param {string} projectDir
+ * @param {string} path
+ */
+const toGlob = (configDir, projectDir, path) => {
+  const glob = relative(configDir, resolve(projectDir, path))
+    .split(sep)
+    .join('/');
+  if (glob.startsWith('..')) return;
+  return glob;
+};
+
+/**
+ * Changes an `include` or `exclude` pattern of a tsconfig into an ESLint glob
+ * Like in TS, a pattern whose last part has no extension or wildcard is a folder
+ *
+ * @param {string} glob
+ * @param {string} filePattern the pattern for the files in a folder
+ */
+const toFolderGlob = (glob, filePattern) => {
+  const last = glob.split('/').pop() || '';
+  if (/[*.?]/.test(last)) return glob;
+  return glob === '' ? `**/${filePattern}` : `${glob}/**/${filePattern}`;
+};
+
+/** @type {Map<string, {files: string[], excludedFiles: string[]}>} */
+const checkedJsFilesCache = new Map();
+
+/**
+ * Finds the JS files that are included by a tsconfig with `allowJs`
+ * Uses the closest tsconfig to `cwd` and the projects it references
+ * The globs are built from the `files`, `include`, and `exclude` of each tsconfig
+ * (including the ones that it inherits with `extends`), instead of listing every file,
+ * so that the config stays small and matches files that are added later
+ *
+ * @param {string} cwd
+ * @param {string} configDir the folder of the ESLint config
+ * @returns {{files: string[], excludedFiles: string[]}} globs relative to `configDir`
+ */
+const getCheckedJsFiles = (cwd, configDir) => {
+  const cacheKey = `${cwd}\0${configDir}`;
+  const cached = checkedJsFilesCache.get(cacheKey);
+  if (cached) return cached;
+
+  /** @type {Set<string>} */
+  const files = new Set();
+  /** @type {Set<string>} */
+  const excludedFiles = new Set();
+  const projects = findProjects(cwd, findProjectRoot(cwd));
+  // If there is a tsconfig, TypeScript must be installed
+  const ts = projects.length > 0 && require('typescript');
+  for (const project of projects) {
+    // TS adds the `files`, `include`, and `exclude` of the tsconfigs that it extends to `raw`,
+    // with the paths changed to be relative to this tsconfig
+    const parsed = ts.getParsedCommandLineOfConfigFile(
+      project,
+      {},
+      { ...ts.sys, onUnRecoverableConfigFileDiagnostic: () => {} }
+    );
+    if (!parsed) continue;
+    const { options, fileNames, raw } = parsed;
+    const projectDir = dirname(project);
+    if (!options.allowJs || !fileNames.some((file) => jsExtension.test(file)))
+      continue;
+
+    for (const file of raw.files || []) {
+      const glob = toGlob(configDir, projectDir, file);
+      // Glob characters are escaped, file names like [id].js are common in file-based routers
+      if (glob && jsExtension.test(glob))
+        files.add(glob.replace(/[!()*?@[\]{}]/g, '\\$&'));
+    }
+
+    // Without `files` or `include`, TS includes every file in the folder of the tsconfig
+    const include = raw.include || (raw.files ? [] : ['**/*']);
+    for (const pattern of include) {
+      const glob = toGlob(configDir, projectDir, pattern);
+      if (!glob) continue;
+      const folderGlob = toFolderGlob(glob, '*');
+      if (folderGlob.endsWith('*')) {
+        files.add(`${folderGlob}.${jsExtensions}`);
+      } else if (jsExtension.test(folderGlob)) {
+        files.add(folderGlob);
+      }
+    }
+
+    for (const pattern of raw.exclude || []) {
+      const glob = toGlob(configDir, projectDir, pattern);
+      if (glob) excludedFiles.add(toFolderGlob(glob, '*'));
+    }
+  }
+
+  const globs = { files: [...files], excludedFiles: [...excludedFiles] };
+  checkedJsFilesCache.set(cacheKey, globs);
+  return globs;
+};
+
+/**
+ * Limits the check-js override of an eslintrc config to the files that TS checks
+ *
+ * @param {import('eslint').Linter.Config} config
+ * @param {string} [cwd]
+ */
+const withCheckedJsFiles = (config, cwd = process.cwd()) => {
+  const { files, excludedFiles } = getCheckedJsFiles(cwd, findEslintrcDir(cwd));
+  return {
+    ...config,
+    // An override with no files is not valid
+    overrides:
+      files.length === 0
+        ? []
+        : (config.overrides || []).map((override) => ({
+            ...override,
+            files,
+            ...(excludedFiles.length > 0 && { excludedFiles }),
+          })),
+  };
+};
+
+/**
+ * Limits the blocks of a check-js flat config to the files that TS checks
+ *
+ * @param {{[key: string]: any}[]} configs
+ * @param {string} [cwd]
+ */
+const withFlatCheckedJsFiles = ([base, ...blocks], cwd = process.cwd()) => {
+  const { files, excludedFiles } = getCheckedJsFiles(
+    cwd,
+    findFlatConfigDir(cwd)
+  );
+  // A block with no files would apply to every file
+  if (files.length === 0) return [base];
+  return [
+    base,
+    ...blocks.map((block) => ({
+      ...block,
+      files,
+      ...(excludedFiles.length > 0 && { ignores: excludedFiles }),
+    })),
+  ];
+};
+
+module.exports = { withCheckedJsFiles, withFlatCheckedJsFiles };
@@ -0,0 +1,57 @@
+const assert = require('node:assert');
+const { mkdirSync, mkdtempSync, rmSync, writeFileSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { dirname, join } = require('node:path');
+
+const { withCheckedJsFiles, withFlatCheckedJsFiles } = require('./check-js');
+
+/**
+ * Writes the files of a project into a temporary folder
+ *
+ * @param {{[path: string]: string}} files
+ */
+const createProject = (files) => {
+  const root = mkdtempSync(join(tmpdir(), 'check-js-'));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+
+  return root;
+};
+
+// The `include` and `exclude` that a tsconfig inherits with `extends` are used,
+// and the globs are relative to the ESLint config, even when ESLint runs in a subfolder
+const root = createProject({
+  'package.json': '{}',
+  '.eslintrc.json': '{}',
+  'eslint.config.js': '',
+  'tsconfig.base.json': JSON.stringify({
+    compilerOptions: { allowJs: true },
+    include: ['src'],
+    exclude: ['src/vendor'],
+  }),
+  'tsconfig.json': JSON.stringify({ extends: './tsconfig.base.json' }),
+  'src/index.js': '',
+});
+try {
+  const cwd = join(root, 'src');
+  const expected = {
+    files: ['src/**/*.{js,cjs,mjs,jsx}'],
+    excludedFiles: ['src/vendor/**/*'],
+  };
+
+  const [override] = withCheckedJsFiles(
+    { overrides: [{ files: ['*.js'] }] },
+    cwd
+  ).overrides;
+  assert.deepStrictEqual(override, expected);
+
+  const [, block] = withFlatCheckedJsFiles([{}, { files: ['**/*.js'] }], cwd);
+  assert.deepStrictEqual(block, {
+    files: expected.files,
+    ignores: expected.excludedFiles,
+  });
+} finally {
+  rmSync(root, { recursive: true });
+}
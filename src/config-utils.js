@@ -0,0 +1,180 @@
+const allRules = require('./rules');
+
+/** @typedef {0 | 1 | 2 | 'off' | 'warn' | 'error'} ESLintRuleVal */
+/** @typedef {ESLintRuleVal | [ESLintRuleVal, ...unknown[]]} ESLintRuleConfig */
+
+/**
+ * Adds the `@cloudfour/` prefix in front of each rule
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ */
+const prefix = (rules) =>
+  Object.fromEntries(
+    Object.entries(rules).map(([key, val]) => {
+      // If the key already starts with an @, remove it (for example typescript-eslint)
+      if (key.includes('/') && !key.startsWith('@cloudfour/'))
+        key = `@cloudfour/${key.replace(/^@/, '')}`;
+      return [key, val];
+    })
+  );
+
+/**
+ * Removes rules that are set to "off"
+ *
+ * @param {Record<string, ESLintRuleConfig>} rules the rules to process
+ */
+const removeUnused = (rules) =>
+  Object.fromEntries(
+    Object.entries(rules).filter(
+      ([, val]) =>
+        !(val === 'off' || val === 0 || val[0] === 'off' || val[0] === 0)
+    )
+  );
+
+/**
+ * Changes all rules that are set to "warn" to "error"
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ */
+const changeWarnToError = (rules) =>
+  Object.fromEntries(
+    Object.entries(rules).map(([key, val]) => {
+      if (val === 'warn' || val === 1) return [key, 'error'];
+      if (Array.isArray(val) && (val[0] === 'warn' || val[0] === 1))
+        return [key, ['error', ...val.slice(1)]];
+      return [key, val];
+    })
+  );
+
+/**
+ * Turns off each of the rules
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules
+ */
+const turnOff = (rules) =>
+  Object.fromEntries(Object.keys(rules).map((key) => [key, 'off']));
+
+/**
+ * Adds the rules of a legacy target to the rules of a config
+ * The rules that are turned off and don't exist in the config are left out,
+ * so that they don't need to be loaded
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules
+ * @param {{[key: string]: ESLintRuleConfig}} targetRules
+ */
+const withLegacyRules = (rules, targetRules) => ({
+  ...rules,
+  ...Object.fromEntries(
+    Object.entries(targetRules).filter(
+      ([key, value]) => rules[key] !== undefined || value !== 'off'
+    )
+  ),
+});
+
+/**
+ * Applies the parts of the legacy preset that depend on its ECMAScript version to an eslintrc config
+ *
+ * @template {import('eslint').Linter.Config} T
+ * @param {T} config
+ * @param {{env: {[key: string]: boolean}, parserOptions: {[key: string]: unknown}, rules: {[key: string]: ESLintRuleConfig}}} target
+ * @returns {T}
+ */
+const withLegacyTarget = (config, target) => ({
+  ...config,
+  env: { ...config.env, ...target.env },
+  parserOptions: { ...config.parserOptions, ...target.parserOptions },
+  rules: withLegacyRules(config.rules || {}, target.rules),
+});
+
+/**
+ * Applies the parts of the legacy preset that depend on its ECMAScript version to the base block of a flat config
+ *
+ * @param {{[key: string]: any}} block
+ * @param {{[key: string]: any}} target the target, converted to a flat config block
+ */
+const withFlatLegacyTarget = (block, target) => ({
+  ...block,
+  languageOptions: {
+    ...block.languageOptions,
+    ...target.languageOptions,
+    globals: {
+      ...block.languageOptions.globals,
+      ...target.languageOptions.globals,
+    },
+    parserOptions: {
+      ...block.languageOptions.parserOptions,
+      ...target.languageOptions.parserOptions,
+    },
+  },
+  rules: withLegacyRules(block.rules, target.rules),
+});
+
+/**
+ * Whether a rule needs type information from a TS program
+ *
+ * @param {string} key the prefixed rule name
+ */
+const isTypeChecked = (key) =>
+  Boolean(
+    allRules[key.replace(/^@cloudfour\//, '')]?.meta?.docs?.requiresTypeChecking
+  );
+
+/**
+ * The built-in rule that a TS rule replaces, for example `no-implied-eval`
+ *
+ * @param {string} key the prefixed rule name
+ */
+const toBuiltInRule = (key) =>
+  key.replace(/^@cloudfour\/typescript-eslint\//, '');
+
+/**
+ * Turns off the rules that need type information from a TS program
+ * If one of them replaces a built-in rule (for example `no-implied-eval`),
+ * the built-in rule gets turned back on with its setting from `restoreRules`
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ * @param {{[key: string]: ESLintRuleConfig}} restoreRules the rules that apply to every file
+ */
+const disableTypeCheckedRules = (rules, restoreRules) => {
+  const result = { ...rules };
+  for (const key of Object.keys(rules)) {
+    if (!isTypeChecked(key)) continue;
+    result[key] = 'off';
+    const builtInRule = toBuiltInRule(key);
+    if (result[builtInRule] === 'off' && builtInRule in restoreRules)
+      result[builtInRule] = restoreRules[builtInRule];
+  }
+
+  return result;
+};
+
+/**
+ * Picks out the rules that need type information from a TS program,
+ * along with the built-in rules that they replace
+ *
+ * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ */
+const pickTypeCheckedRules = (rules) => {
+  /** @type {{[key: string]: ESLintRuleConfig}} */
+  const result = {};
+  for (const [key, value] of Object.entries(rules)) {
+    if (!isTypeChecked(key)) continue;
+    result[key] = value;
+    const builtInRule = toBuiltInRule(key);
+    if (rules[builtInRule] === 'off') result[builtInRule] = 'off';
+  }
+
+  return result;
+};
+
+module.exports = {
+  prefix,
+  removeUnused,
+  changeWarnToError,
+  turnOff,
+  withLegacyTarget,
+  withFlatLegacyTarget,
+  isTypeChecked,
+  disableTypeCheckedRules,
+  pickTypeCheckedRules,
+};
@@ -1,5 +1,8 @@
 // ESLint configs
 const typescript = require('@typescript-eslint/eslint-plugin');
+// Browser globals that are easy to use by accident instead of a local variable
+const confusingBrowserGlobals = require('confusing-browser-globals');
+const { Linter } = require('eslint');
 const prettier = require('eslint-config-prettier');
 const standard = require('eslint-config-standard');
 const xo = require('eslint-config-xo');
@@ -8,280 +11,980 @@ const jsdoc = require('eslint-plugin-jsdoc').configs.recommended;
 const node = require('eslint-plugin-n').configs.recommended;
 const unicorn = require('eslint-plugin-unicorn').configs.recommended;
 
-/** @typedef {0 | 1 | 2 | 'off' | 'warn' | 'error'} ESLintRuleVal */
-/** @typedef {ESLintRuleVal | [ESLintRuleVal, ...unknown[]]} ESLintRuleConfig */
+const {
+  changeWarnToError,
+  disableTypeCheckedRules,
+  pickTypeCheckedRules,
+  prefix,
+  removeUnused,
+  turnOff,
+  withLegacyTarget,
+} = require('./config-utils');
+const environments = require('./environments');
+const reasons = require('./rationale');
+const allRules = require('./rules');
 
 /**
- * Adds the `@cloudfour/` prefix in front of each rule
- *
- * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ * Rules for code that runs in the browser instead of in Node
+ * These are used both by the browser preset and by the browser override in the recommended preset
+ * The reasons for these and the rules of the other overrides are in src/rationale.js
  */
-const prefix = (rules) =>
-  Object.fromEntries(
-    Object.entries(rules).map(([key, val]) => {
-      // If the key already starts with an @, remove it (for example typescript-eslint)
-      if (key.includes('/') && !key.startsWith('@cloudfour/'))
-        key = `@cloudfour/${key.replace(/^@/, '')}`;
-      return [key, val];
-    })
-  );
+const browserRules = prefix({
+  'n/no-deprecated-api': 'off',
+  'n/no-exports-assign': 'off',
+  'n/no-new-require': 'off',
+  'n/no-path-concat': 'off',
+  'n/no-process-exit': 'off',
+  'n/process-exit-as-throw': 'off',
+  'n/handle-callback-err': 'off',
+  'n/no-callback-literal': 'off',
+  'n/no-unsupported-features/es-builtins': 'off',
+  'n/no-unsupported-features/node-builtins': 'off',
+  'n/no-unpublished-bin': 'off',
+  'n/no-unpublished-import': 'off',
+  'unicorn/no-process-exit': 'off',
+  'unicorn/prefer-node-protocol': 'off',
+
+  'import/no-nodejs-modules': 'error',
+  'no-restricted-globals': ['error', ...confusingBrowserGlobals],
+  'unicorn/prefer-add-event-listener': 'error',
+  'unicorn/no-invalid-remove-event-listener': 'error',
+  'unicorn/prefer-dom-node-append': 'error',
+  'unicorn/prefer-dom-node-dataset': 'error',
+  'unicorn/prefer-dom-node-remove': 'error',
+  'unicorn/prefer-dom-node-text-content': 'error',
+  'unicorn/prefer-keyboard-event-key': 'error',
+  'unicorn/prefer-modern-dom-apis': 'error',
+  'unicorn/prefer-query-selector': 'error',
+});
+
+/** Applies the browser rules to paths that are conventionally used for client-side code */
+const browserOverride = {
+  files: ['src/client/**', 'src/browser/**', 'client/**', 'browser/**'],
+  env: {
+    browser: true,
+    node: false,
+  },
+  rules: browserRules,
+};
+
+const typescriptFiles = ['*.ts', '*.tsx', '*.mts', '*.cts'];
+
+const testFiles = [
+  '*.test.*',
+  '*.spec.*',
+  '**/__tests__/**',
+  'test/**',
+  'tests/**',
+];
 
 /**
- * Removes rules that are set to "off"
- *
- * @param {Record<string, ESLintRuleConfig>} rules the rules to process
+ * Rules for test files, regardless of which test runner is used
+ * The test runner's globals are added by `testRunnerOverrides`
  */
-const removeUnused = (rules) =>
-  Object.fromEntries(
-    Object.entries(rules).filter(
-      ([, val]) =>
-        !(val === 'off' || val === 0 || val[0] === 'off' || val[0] === 0)
-    )
-  );
+const testOverride = {
+  files: testFiles,
+  rules: prefix({
+    '@cloudfour/no-focused-tests': 'error',
+    '@cloudfour/no-skipped-tests': 'error',
+    '@cloudfour/no-async-describe': 'error',
+
+    '@cloudfour/prefer-early-return': 'off',
+    'unicorn/no-useless-undefined': 'off',
+    'unicorn/consistent-function-scoping': 'off',
+    'max-nested-callbacks': 'off',
+    'no-unused-expressions': 'off',
+    '@typescript-eslint/no-unused-expressions': 'off',
+    '@typescript-eslint/no-non-null-assertion': 'off',
+    'n/no-unpublished-import': 'off',
+    'n/no-unpublished-require': 'off',
+  }),
+};
 
 /**
- * Changes all rules that are set to "warn" to "error"
- *
- * @param {{[key: string]: ESLintRuleConfig}} rules the rules to process
+ * Globals for each test runner
+ * One of these is added to the presets at runtime, based on the dependencies of the project (see src/test-runner.js)
  */
-const changeWarnToError = (rules) =>
-  Object.fromEntries(
-    Object.entries(rules).map(([key, val]) => {
-      if (val === 'warn' || val === 1) return [key, 'error'];
-      if (Array.isArray(val) && (val[0] === 'warn' || val[0] === 1))
-        return [key, ['error', ...val.slice(1)]];
-      return [key, val];
-    })
-  );
+const testRunnerOverrides = {
+  mocha: { files: testFiles, env: { mocha: true } },
+  jest: { files: testFiles, env: { jest: true } },
+  // Vitest only has globals if `globals: true` is set in its config,
+  // but declaring them doesn't hurt projects that import them instead
+  vitest: {
+    files: testFiles,
+    globals: Object.fromEntries(
+      [
+        'suite',
+        'test',
+        'describe',
+        'it',
+        'chai',
+        'expect',
+        'assert',
+        'expectTypeOf',
+        'assertType',
+        'vitest',
+        'vi',
+        'beforeAll',
+        'afterAll',
+        'beforeEach',
+        'afterEach',
+      ].map((name) => [name, false])
+    ),
+  },
+};
 
-module.exports.configs = {
-  recommended: {
-    parserOptions: {
-      ecmaVersion: 2022,
-      sourceType: 'module',
-      ecmaFeatures: { jsx: true },
-    },
-    env: {
-      node: true,
-      es6: true,
-    },
-    settings: {
-      jsdoc: {
-        mode: 'typescript',
-        tagNamePreference: {
-          TODO: 'todo',
-        },
-        preferredTypes: {
-          '*': 'any',
-          Function: '() => void',
-          function: '() => void',
-        },
+const recommendedRules = removeUnused(
+  prefix({
+    // Plugins' recommended configs
+    ...node.rules,
+    ...unicorn.rules,
+    ...changeWarnToError(jsdoc.rules),
+
+    // "standards"
+    ...xo.rules,
+    ...standard.rules,
+
+    ...prettier.rules, // Undoes stylistic rules
+
+    // Overrides, their reasons are in src/rationale.js
+    'no-unused-expressions': [
+      'error',
+      {
+        allowShortCircuit: false,
+        allowTernary: false,
+        allowTaggedTemplates: false,
       },
-    },
-    globals: {
-      document: false,
-      navigator: false,
-      window: false,
-    },
-    plugins: ['@cloudfour'],
-    rules: removeUnused(
-      prefix({
-        // Plugins' recommended configs
-        ...node.rules,
-        ...unicorn.rules,
-        ...changeWarnToError(jsdoc.rules),
-
-        // "standards"
-        ...xo.rules,
-        ...standard.rules,
-
-        ...prettier.rules, // Undoes stylistic rules
-
-        // Overrides
-        'no-unused-expressions': [
-          'error',
-          {
-            allowShortCircuit: false,
-            allowTernary: false,
-            allowTaggedTemplates: false,
-          },
-        ],
-        '@cloudfour/prefer-early-return': 'error',
-        'no-return-assign': ['error'],
-        'func-names': 'off',
-        'prefer-const': [
-          'error',
-          // If there is a destructuring assignment
-          // and some of the properties should be const
-          // but others shouldn't be, let it use let
-          { destructuring: 'all' },
-        ],
-        'no-var': 'error',
-        'object-shorthand': 'error',
-        'prefer-object-spread': 'error',
-        'prefer-spread': 'error',
-        'prefer-destructuring': ['error', { array: false }],
-        'prefer-rest-params': 'error',
-        // We decided that since devs can use blank lines to create logical groupings in code,
-        // it is best not to have ESLint enforce adding newlines
-        'padding-line-between-statements': 'off',
-        'prefer-template': 'error',
-        'no-param-reassign': 'off', // We don't use `arguments`, and assigning to parameters can be useful
-        'no-promise-executor-return': 'off', // Allow implicit return in promise executor
-        'capitalized-comments': [
-          'error',
-          'always',
-          {
-            ignorePattern:
-              'pragma|ignore|prettier-ignore|webpack\\w+:|c8|return|const|let|var|await|function|console',
-            ignoreInlineComments: true,
-            ignoreConsecutiveComments: true,
-          },
-        ],
+    ],
+    '@cloudfour/prefer-early-return': 'error',
+    'no-return-assign': ['error'],
+    'func-names': 'off',
+    'prefer-const': ['error', { destructuring: 'all' }],
+    'no-var': 'error',
+    'object-shorthand': 'error',
+    'prefer-object-spread': 'error',
+    'prefer-spread': 'error',
+    'prefer-destructuring': ['error', { array: false }],
+    'prefer-rest-params': 'error',
+    'padding-line-between-statements': 'off',
+    'prefer-template': 'error',
+    'no-param-reassign': 'off',
+    'no-promise-executor-return': 'off',
+    'capitalized-comments': 'off',
+    '@cloudfour/capitalized-comments': [
+      'error',
+      { ignoreInlineComments: true, ignoreConsecutiveComments: true },
+    ],
 
-        'n/no-unsupported-features/es-syntax': 'off', // Does not account for transpilation
-        'n/no-unpublished-require': 'off', // Does not account for "build" scripts
-        'n/shebang': 'off', // Tons of false positives
-        'n/file-extension-in-import': ['error', 'always'], // Don't allow extension-less relative imports (e.g. use ./foo.js instead of ./foo)
-        // Used for sorting/grouping import statements
-        'import/order': [
-          'error',
-          {
-            groups: [
-              'builtin',
-              'external',
-              'internal',
-              'parent',
-              'sibling',
-              'index',
-            ],
-            'newlines-between': 'always',
-            alphabetize: { order: 'asc', caseInsensitive: true },
-          },
-        ],
-        // Used for sorting members within an import statement alphabetically
-        'sort-imports': ['error', { ignoreDeclarationSort: true }],
-
-        'unicorn/import-style': 'off', // It doesn't seem useful to force people to use named, default, or namespace imports
-        'unicorn/prevent-abbreviations': 'off', // Causes more issues than it's worth
-        // Null is ok, even though Sindre Sorhus doesn't like it
-        // It is ok to avoid using null and use undefined instead
-        // but enforcing it in all code via a lint rule is too annoying
-        'unicorn/no-null': 'off',
-        // This rule is meant to avoid the edge case of breaking changes occuring
-        // due to the `index` parameter being passed unexpectedly into the callback function,
-        // causing unexpected behavior if the callback expects something that is not the index
-        // But this is an edge case that can be avoided through careful manual review
-        // and sometimes through TS
-        'unicorn/no-array-callback-reference': 'off',
-        // https://github.com/sindresorhus/eslint-plugin-unicorn/pull/1750
-        // This rule got removed from the recommended preset, but that hasn't been published yet.
-        'unicorn/prefer-json-parse-buffer': 'off',
-        // This rule changes arrays to sets if you call .includes on it
-        // Converting from array to set has a cost itself, just like .includes has a cost
-        // We decided to leave the decision of using arrays vs sets to human reviewers
-        'unicorn/prefer-set-has': 'off',
-        // Reduce is often useful. Don't need a lint rule to tell us not to use it
-        'unicorn/no-array-reduce': 'off',
-        'unicorn/prefer-module': 'off', // A lot of projects still use commonjs by default for non-browser code. We can revisit this rule once commonjs is basically never used.
-        'unicorn/prefer-switch': 'off', // Switch statements are often longer than if/else chains, and they are still read aloud as "if ... is ... then"
-        'unicorn/prefer-number-properties': [
-          'error',
-          // There isn't a good reason to force use of Number.POSITIVE_INFINITY instead of Infinity
-          { checkInfinity: false },
+    'n/no-unsupported-features/es-syntax': 'off',
+    'n/no-unpublished-require': 'off',
+    'n/shebang': 'off',
+    'n/file-extension-in-import': ['error', 'always'],
+    'import/order': [
+      'error',
+      {
+        groups: [
+          'builtin',
+          'external',
+          'internal',
+          'parent',
+          'sibling',
+          'index',
         ],
-        // This rule suggests incorrect code with the destructured object is modified
-        // That is a fairly common case, and it is too annoying to always disable the rule on each line
-        'unicorn/consistent-destructuring': 'off',
-
-        // Disabling jsdoc rules that check the types themselves
-        // If you want to have type checking on a project, use typescript instead
-        'jsdoc/newline-after-description': 'off',
-        'jsdoc/no-undefined-types': 'off',
-        'jsdoc/valid-types': 'off',
-        'jsdoc/require-returns': 'off',
-        'jsdoc/require-param-description': 'off',
-        'jsdoc/require-property-description': 'off',
-        'jsdoc/require-returns-description': 'off',
-        'jsdoc/require-jsdoc': 'off',
-      })
+        'newlines-between': 'always',
+        alphabetize: { order: 'asc', caseInsensitive: true },
+      },
+    ],
+    'sort-imports': ['error', { ignoreDeclarationSort: true }],
+
+    'unicorn/import-style': 'off',
+    'unicorn/prevent-abbreviations': 'off',
+    'unicorn/no-null': 'off',
+    'unicorn/no-array-callback-reference': 'off',
+    'unicorn/prefer-json-parse-buffer': 'off',
+    'unicorn/prefer-set-has': 'off',
+    'unicorn/no-array-reduce': 'off',
+    'unicorn/prefer-module': 'off',
+    'unicorn/prefer-switch': 'off',
+    'unicorn/prefer-number-properties': ['error', { checkInfinity: false }],
+    'unicorn/consistent-destructuring': 'off',
+
+    'jsdoc/newline-after-description': 'off',
+    'jsdoc/no-undefined-types': 'off',
+    'jsdoc/valid-types': 'off',
+    'jsdoc/require-returns': 'off',
+    'jsdoc/require-param-description': 'off',
+    'jsdoc/require-property-description': 'off',
+    'jsdoc/require-returns-description': 'off',
+    'jsdoc/require-jsdoc': 'off',
+  })
+);
+
+/**
+ * Config files and build scripts for tools
+ * These run in Node (even in browser projects), as scripts rather than as published code
+ */
+const toolingOverride = {
+  files: [
+    '*.config.{js,cjs,mjs,ts}',
+    '*.conf.js',
+    'gulpfile.*',
+    '**/gulpfile.js/**',
+    'scripts/**',
+    'build.js',
+    // ES module scripts at the root of the project, like release scripts
+    './*.mjs',
+    '**/.storybook/main.*',
+  ],
+  // Like the recommended preset, even in the legacy preset, which targets old browsers
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+  },
+  env: {
+    node: true,
+    browser: false,
+    es2022: true,
+  },
+  rules: {
+    // Undo the browser rules, in case this is in a browser project or in a browser folder
+    ...Object.fromEntries(
+      Object.keys(browserRules).map((rule) => [
+        rule,
+        recommendedRules[rule] || 'off',
+      ])
     ),
-    overrides: [
+    ...prefix({
+      'import/no-nodejs-modules': 'off',
+      'n/no-unpublished-import': 'off',
+      'n/no-unpublished-require': 'off',
+      'n/no-process-exit': 'off',
+      'unicorn/no-process-exit': 'off',
+      'unicorn/prefer-top-level-await': 'off',
+    }),
+  },
+};
+
+const typescriptOverride = {
+  files: typescriptFiles,
+  // Wraps @typescript-eslint/parser to find the closest tsconfig for each file,
+  // unless parserOptions.project is set
+  parser: require.resolve('./typescript-parser'),
+  rules: prefix({
+    ...typescript.configs['eslint-recommended'].overrides[0].rules,
+    ...typescript.configs.recommended.rules,
+    ...typescript.configs['recommended-requiring-type-checking'].rules,
+
+    // Overrides, their reasons are in src/rationale.js
+    'n/no-missing-import': 'off',
+    'n/no-missing-require': 'off',
+    'no-import-assign': 'off',
+    'jsdoc/require-param': 'off',
+    'jsdoc/require-param-type': 'off',
+    'jsdoc/require-param-description': 'error',
+    'jsdoc/require-returns-type': 'off',
+    'jsdoc/require-returns-description': 'error',
+    '@typescript-eslint/consistent-type-imports': [
+      'error',
+      { disallowTypeAnnotations: false },
+    ],
+    '@typescript-eslint/no-confusing-void-expression': [
+      'error',
+      { ignoreArrowShorthand: true },
+    ],
+    '@typescript-eslint/no-meaningless-void-operator': 'error',
+    '@typescript-eslint/no-unnecessary-type-constraint': 'error',
+    '@typescript-eslint/array-type': ['error', { default: 'array' }],
+    '@typescript-eslint/ban-ts-comment': 'error',
+    '@typescript-eslint/explicit-module-boundary-types': 'off',
+    '@typescript-eslint/no-explicit-any': 'off',
+    '@typescript-eslint/no-floating-promises': 'off',
+    '@typescript-eslint/no-non-null-assertion': 'error',
+    '@typescript-eslint/no-unsafe-assignment': 'off',
+    '@typescript-eslint/no-unsafe-call': 'off',
+    '@typescript-eslint/no-unsafe-member-access': 'off',
+    '@typescript-eslint/no-unsafe-return': 'off',
+    '@typescript-eslint/no-unsafe-argument': 'off',
+    '@typescript-eslint/restrict-template-expressions': 'off',
+    '@typescript-eslint/no-unnecessary-condition': 'error',
+    '@typescript-eslint/no-unnecessary-boolean-literal-compare': 'error',
+    '@typescript-eslint/prefer-optional-chain': 'error',
+    'no-unused-vars': 'off',
+    '@typescript-eslint/no-unused-vars': 'off',
+    '@typescript-eslint/no-empty-function': 'off',
+    '@typescript-eslint/unbound-method': 'off',
+    'no-unused-expressions': 'off',
+    '@typescript-eslint/no-unused-expressions': ['error'],
+    'no-use-before-define': 'off',
+    '@typescript-eslint/no-use-before-define': [
+      'error',
       {
-        files: ['*.ts', '*.tsx'],
-        parser: require.resolve('@typescript-eslint/parser'), // Force it to resolve from this directory
-        parserOptions: {
-          project: './tsconfig.json',
-        },
-        rules: prefix({
-          ...typescript.configs['eslint-recommended'].overrides[0].rules,
-          ...typescript.configs.recommended.rules,
-          ...typescript.configs['recommended-requiring-type-checking'].rules,
-
-          // TS handles checking these
-          'n/no-missing-import': 'off',
-          'n/no-missing-require': 'off',
-
-          'no-import-assign': 'off', // TS handles this
-
-          // With TS, the only reason to have a @param tag
-          // is if a particular parameter needs a description,
-          // which is not true for all parameters
-          'jsdoc/require-param': 'off',
-          'jsdoc/require-param-type': 'off', // Types should be in type annotations instead
-          'jsdoc/require-param-description': 'error', // The only reason to have an @param in TS is to add a description
-          'jsdoc/require-returns-type': 'off', // Return types should be in type annotations instead
-          'jsdoc/require-returns-description': 'error', // The only reason to have an @returns in TS is to add a description
-          // Auto-fixes type imports to use the `import type` syntax
-          // This syntax is preferred because it makes the TS -> JS transformation easier
-          // because it doesn't require checking which imports are only referenced as types
-          '@typescript-eslint/consistent-type-imports': [
-            'error',
-            // We have set it to allow import('...') for types because that is the only kind of import that is allowed in global type augmentations
-            { disallowTypeAnnotations: false },
-          ],
-          // Don't try to use the result of expression whose type is `void`
-          '@typescript-eslint/no-confusing-void-expression': [
-            'error',
-            { ignoreArrowShorthand: true },
-          ],
-          // Don't use the void operator an an expression whose type is already `void`
-          '@typescript-eslint/no-meaningless-void-operator': 'error',
-          '@typescript-eslint/no-unnecessary-type-constraint': 'error',
-          '@typescript-eslint/array-type': ['error', { default: 'array' }], // Require consistency: Use foo[] instead of Array<foo>
-          '@typescript-eslint/ban-ts-comment': 'error',
-          '@typescript-eslint/explicit-module-boundary-types': 'off', // Type inference is useful even for public functions
-          '@typescript-eslint/no-explicit-any': 'off', // Any is an escape hatch, it should be allowed
-          '@typescript-eslint/no-floating-promises': 'off', // Don't force every promise rejection to be caught. Humans can decide when it makes sense to handle errors and when it doesn't
-          '@typescript-eslint/no-non-null-assertion': 'error', // Default is warn
-          '@typescript-eslint/no-unsafe-assignment': 'off', // Any is an escape hatch, let it be an escape hatch
-          '@typescript-eslint/no-unsafe-call': 'off', // Any is an escape hatch, let it be an escape hatch
-          '@typescript-eslint/no-unsafe-member-access': 'off', // Any is an escape hatch, let it be an escape hatch
-          '@typescript-eslint/no-unsafe-return': 'off', // Any is an escape hatch, let it be an escape hatch
-          '@typescript-eslint/no-unsafe-argument': 'off', // Any is an escape hatch, let it be an escape hatch
-          '@typescript-eslint/restrict-template-expressions': 'off', // Allow using any-typed-values in template expressions
-          '@typescript-eslint/no-unnecessary-condition': 'error', // This catches a lot of dead code that TS itself doesn't flag
-          '@typescript-eslint/no-unnecessary-boolean-literal-compare': 'error',
-          '@typescript-eslint/prefer-optional-chain': 'error', // More readable syntax
-          'no-unused-vars': 'off', // TS checks this via noUnusedLocals / noUnusedParameters
-          '@typescript-eslint/no-unused-vars': 'off', // TS checks this via noUnusedLocals / noUnusedParameters
-          '@typescript-eslint/no-empty-function': 'off', // Non-TS version of rule is not used either
-          '@typescript-eslint/unbound-method': 'off', // It is pretty common for this already being handled outside of what TS/ESLint can be aware of
-          'no-unused-expressions': 'off',
-          '@typescript-eslint/no-unused-expressions': ['error'], // This rule is like the built in ESLint rule but it supports optional chaining
-          // Replacing the built-in rule with the version that works well with TS
-          'no-use-before-define': 'off',
-          '@typescript-eslint/no-use-before-define': [
-            'error',
-            {
-              functions: false,
-              classes: false,
-              variables: false,
-              ignoreTypeReferences: true,
-            },
-          ],
-        }),
+        functions: false,
+        classes: false,
+        variables: false,
+        ignoreTypeReferences: true,
       },
     ],
+  }),
+};
+
+/** Storybook stories, including the imports and exports of MDX stories (see src/processors/mdx.js) */
+const storyFiles = [
+  '*.stories.{js,jsx,ts,tsx}',
+  '**/*.stories.mdx/*.{js,jsx,ts,tsx}',
+];
+
+// Stories and Storybook's config files get bundled for the browser,
+// except for .storybook/main.js (see the tooling override)
+const storybookOverride = {
+  files: [...storyFiles, '**/.storybook/**'],
+  env: {
+    browser: true,
+    node: false,
+    '@cloudfour/storybook': true,
   },
+  rules: {
+    ...browserRules,
+    ...prefix({
+      'unicorn/filename-case': 'off',
+      'n/no-unpublished-import': 'off',
+      'n/no-unpublished-require': 'off',
+    }),
+  },
+};
+
+/** Code blocks in docs are usually examples, which don't have to be complete programs */
+const codeBlockRules = prefix({
+  'no-undef': 'off',
+  'no-unused-vars': 'off',
+  'no-unused-expressions': 'off',
+  '@typescript-eslint/no-unused-expressions': 'off',
+  'n/no-missing-import': 'off',
+  'n/no-missing-require': 'off',
+  'n/no-extraneous-import': 'off',
+  'n/no-extraneous-require': 'off',
+  'n/no-unpublished-import': 'off',
+  'n/no-unpublished-require': 'off',
+  'n/file-extension-in-import': 'off',
+  'unicorn/no-empty-file': 'off',
+  'unicorn/filename-case': 'off',
+});
+
+// Code blocks aren't a part of any TS project, so they are linted without type information
+const typescriptCodeBlockRules = disableTypeCheckedRules(
+  pickTypeCheckedRules(typescriptOverride.rules),
+  recommendedRules
+);
+
+const mdxOverride = {
+  files: ['*.stories.mdx'],
+  processor: '@cloudfour/mdx',
+};
+// ESLint names each virtual file with its index first, like Button.stories.mdx/0_module.js
+const mdxModuleFiles = ['**/*.mdx/*_module.js'];
+const mdxModuleOverride = {
+  files: mdxModuleFiles,
+  rules: prefix({
+    'n/no-missing-import': 'off',
+    'n/file-extension-in-import': 'off',
+  }),
+};
+const markdownOverride = {
+  files: ['*.md'],
+  processor: '@cloudfour/markdown',
+};
+const codeBlockOverride = {
+  files: ['**/*.{md,mdx}/*.{js,jsx,ts,tsx}'],
+  excludedFiles: mdxModuleFiles,
+  rules: codeBlockRules,
+};
+const typescriptCodeBlockOverride = {
+  files: ['**/*.{md,mdx}/*.{ts,tsx}'],
+  parserOptions: { project: null },
+  rules: typescriptCodeBlockRules,
+};
+
+const htmlOverride = {
+  files: ['*.html', '*.twig'],
+  processor: '@cloudfour/html',
+};
+// Inline scripts run in the browser as they are, without being bundled
+const inlineScriptOverride = {
+  files: ['**/*.{html,twig}/*.{js,mjs}'],
+  env: {
+    browser: true,
+    node: false,
+  },
+  rules: {
+    ...browserRules,
+    ...prefix({
+      'unicorn/filename-case': 'off',
+      'n/no-missing-import': 'off',
+      'n/no-extraneous-import': 'off',
+    }),
+  },
+};
+const classicInlineScriptOverride = {
+  files: ['**/*.{html,twig}/*.js'],
+  // Classic scripts can't use imports or top-level await
+  parserOptions: { sourceType: 'script' },
+  rules: prefix({
+    'unicorn/prefer-module': 'off',
+    'unicorn/prefer-top-level-await': 'off',
+  }),
+};
+const twigInlineScriptOverride = {
+  files: ['**/*.twig/*.{js,mjs}'],
+  env: { '@cloudfour/twig-inline': true },
+};
+
+/** JSON files are parsed as one expression, and most rules for JS don't apply to them */
+const jsonOverride = {
+  files: ['*.json', '*.jsonc'],
+  // Lockfiles are generated
+  excludedFiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSON' },
+  rules: {
+    ...turnOff(recommendedRules),
+    ...turnOff(browserRules),
+    '@cloudfour/jsonc/no-dupe-keys': 'error',
+  },
+};
+const tsconfigFiles = ['tsconfig.json', 'tsconfig.*.json'];
+// These files are read by tools that allow comments and trailing commas
+const jsoncOverride = {
+  files: [
+    '*.jsonc',
+    ...tsconfigFiles,
+    'jsconfig.json',
+    'jsconfig.*.json',
+    '.eslintrc.json',
+  ],
+  parserOptions: { jsonSyntax: 'JSONC' },
+};
+const packageJsonOverride = {
+  files: ['package.json'],
+  rules: {
+    '@cloudfour/require-package-engines': 'error',
+    '@cloudfour/sorted-package-dependencies': 'error',
+    '@cloudfour/valid-package-entry-points': 'error',
+    '@cloudfour/valid-package-files': 'error',
+  },
+};
+// Jsconfigs are left out, since JS projects don't usually type-check strictly
+const tsconfigOverride = {
+  files: tsconfigFiles,
+  rules: {
+    '@cloudfour/no-contradictory-tsconfig-options': 'error',
+    '@cloudfour/require-tsconfig-strict': 'error',
+  },
+};
+
+/** Rules for ES modules, where require, module.exports, and __dirname don't exist */
+const esmRules = prefix({
+  'unicorn/prefer-module': 'error',
+  'unicorn/prefer-top-level-await': 'error',
+  'n/file-extension-in-import': ['error', 'always'],
+});
+
+/** Rules for CommonJS modules */
+const commonjsRules = prefix({
+  'unicorn/prefer-module': 'off',
+  'unicorn/prefer-top-level-await': 'off',
+  'n/exports-style': ['error', 'module.exports'],
+  'import/no-import-module-exports': 'error',
+});
+
+// .mjs and .mts files are always ES modules and .cjs and .cts files are always CommonJS,
+// no matter what the "type" in package.json says
+const esmOverride = {
+  files: ['*.mjs', '*.mts'],
+  rules: esmRules,
+};
+const commonjsOverride = {
+  files: ['*.cjs'],
+  // Import declarations are a syntax error in CommonJS
+  parserOptions: { sourceType: 'script' },
+  rules: commonjsRules,
+};
+// TS compiles import declarations in .cts files to require(), so they are allowed
+const commonjsTypescriptOverride = {
+  files: ['*.cts'],
+  rules: commonjsRules,
+};
+
+/**
+ * The module type of .js files depends on the "type" in the project's package.json,
+ * so one of these is added at runtime, see src/module-type.js
+ */
+const moduleTypeOverrides = {
+  module: {
+    files: ['*.js', '*.jsx'],
+    // Code blocks in docs can be either kind of module, and inline scripts have a `type` that says which kind they are
+    excludedFiles: ['**/*.{md,mdx,html,twig}/**'],
+    rules: esmRules,
+  },
+  commonjs: {
+    files: ['*.js'],
+    // Browser code gets bundled, so it doesn't matter how Node would load it
+    excludedFiles: [
+      ...browserOverride.files,
+      ...storybookOverride.files,
+      '**/*.{md,mdx,html,twig}/**',
+    ],
+    parserOptions: { sourceType: 'script' },
+    rules: commonjsRules,
+  },
+};
+
+/** Declaration files describe code that exists somewhere else, often code that we didn't write */
+const declarationOverride = {
+  files: ['*.d.ts', '*.d.mts', '*.d.cts'],
+  rules: prefix({
+    'no-var': 'off',
+    '@typescript-eslint/no-empty-interface': 'off',
+    '@typescript-eslint/triple-slash-reference': 'off',
+    camelcase: 'off',
+    'max-params': 'off',
+    'unicorn/prevent-abbreviations': 'off',
+  }),
+};
+
+const recommended = {
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true },
+  },
+  env: {
+    node: true,
+    es6: true,
+  },
+  settings: {
+    jsdoc: {
+      mode: 'typescript',
+      tagNamePreference: {
+        TODO: 'todo',
+      },
+      preferredTypes: {
+        '*': 'any',
+        Function: '() => void',
+        function: '() => void',
+      },
+    },
+  },
+  globals: {
+    document: false,
+    navigator: false,
+    window: false,
+  },
+  plugins: ['@cloudfour'],
+  rules: recommendedRules,
+  overrides: [
+    typescriptOverride,
+    declarationOverride,
+    browserOverride,
+    testOverride,
+    storybookOverride,
+    toolingOverride,
+    // These come after the tooling override, so that config files that are ES modules are treated like it
+    esmOverride,
+    commonjsOverride,
+    commonjsTypescriptOverride,
+    mdxOverride,
+    mdxModuleOverride,
+    markdownOverride,
+    codeBlockOverride,
+    typescriptCodeBlockOverride,
+    htmlOverride,
+    inlineScriptOverride,
+    classicInlineScriptOverride,
+    twigInlineScriptOverride,
+    // These come last, so that the JS rules from other overrides don't apply to JSON
+    jsonOverride,
+    jsoncOverride,
+    packageJsonOverride,
+    tsconfigOverride,
+  ],
+};
+
+const browser = {
+  ...recommended,
+  env: {
+    browser: true,
+    node: false,
+    es6: true,
+  },
+  // The browser environment already includes these
+  globals: {},
+  // The rules that are turned off for the browser are kept as "off"
+  // so that they also get turned off when this is extended after the recommended preset
+  rules: { ...recommended.rules, ...browserRules },
+  overrides: recommended.overrides.filter(
+    (override) => override !== browserOverride
+  ),
+};
+
+/** The ECMAScript versions that untranspiled code can target, see the legacy preset */
+const legacyVersions = [5, 2015, 2016, 2017, 2018, 2019, 2020, 2021];
+
+/**
+ * Rules that prefer syntax, built-ins, or DOM APIs that old browsers don't have,
+ * and the version that added them
+ */
+const modernRules = {
+  2015: prefix({
+    'no-var': 'off',
+    'object-shorthand': 'off',
+    'prefer-arrow-callback': 'off',
+    'prefer-const': 'off',
+    'prefer-destructuring': 'off',
+    'prefer-numeric-literals': 'off',
+    'prefer-rest-params': 'off',
+    'prefer-spread': 'off',
+    'prefer-template': 'off',
+    'unicorn/no-array-for-each': 'off',
+    'unicorn/no-for-loop': 'off',
+    'unicorn/no-new-array': 'off',
+    'unicorn/prefer-array-find': 'off',
+    'unicorn/prefer-code-point': 'off',
+    'unicorn/prefer-default-parameters': 'off',
+    'unicorn/prefer-math-trunc': 'off',
+    'unicorn/prefer-modern-math-apis': 'off',
+    'unicorn/prefer-number-properties': 'off',
+    'unicorn/prefer-reflect-apply': 'off',
+    'unicorn/prefer-spread': 'off',
+    'unicorn/prefer-string-starts-ends-with': 'off',
+  }),
+  2016: prefix({
+    'prefer-exponentiation-operator': 'off',
+    'unicorn/prefer-includes': 'off',
+  }),
+  // Browsers that support ES2017 also support these DOM APIs
+  2017: prefix({
+    'unicorn/prefer-dom-node-append': 'off',
+    'unicorn/prefer-dom-node-dataset': 'off',
+    'unicorn/prefer-dom-node-remove': 'off',
+    'unicorn/prefer-keyboard-event-key': 'off',
+    'unicorn/prefer-modern-dom-apis': 'off',
+  }),
+  2018: prefix({
+    'prefer-object-spread': 'off',
+  }),
+  2019: prefix({
+    'unicorn/prefer-array-flat': 'off',
+    'unicorn/prefer-array-flat-map': 'off',
+    'unicorn/prefer-object-from-entries': 'off',
+    'unicorn/prefer-optional-catch-binding': 'off',
+    'unicorn/prefer-string-trim-start-end': 'off',
+  }),
+  2020: prefix({
+    'unicorn/prefer-logical-operator-over-ternary': 'off',
+  }),
+  2021: prefix({
+    'unicorn/numeric-separators-style': 'off',
+  }),
+};
+
+/**
+ * Static methods and properties of built-ins, and the version that added them
+ * New globals (like Promise) are left out of the environments instead,
+ * and new prototype methods can't be detected without type information
+ *
+ * @type {{[version: number]: {[object: string]: string[]}}}
+ */
+const modernStatics = {
+  2015: {
+    Array: ['from', 'of'],
+    Math: [
+      'acosh',
+      'asinh',
+      'atanh',
+      'cbrt',
+      'clz32',
+      'cosh',
+      'expm1',
+      'fround',
+      'hypot',
+      'imul',
+      'log10',
+      'log1p',
+      'log2',
+      'sign',
+      'sinh',
+      'tanh',
+      'trunc',
+    ],
+    Number: [
+      'EPSILON',
+      'isFinite',
+      'isInteger',
+      'isNaN',
+      'isSafeInteger',
+      'MAX_SAFE_INTEGER',
+      'MIN_SAFE_INTEGER',
+      'parseFloat',
+      'parseInt',
+    ],
+    Object: ['assign', 'getOwnPropertySymbols', 'is', 'setPrototypeOf'],
+    String: ['fromCodePoint', 'raw'],
+  },
+  2017: { Object: ['entries', 'getOwnPropertyDescriptors', 'values'] },
+  2019: { Object: ['fromEntries'] },
+  2020: { Promise: ['allSettled'] },
+  2021: { Promise: ['any'] },
+  2022: { Object: ['hasOwn'] },
+};
+
+/**
+ * The parts of the legacy preset that depend on the ECMAScript version it targets
+ * Each version has its own globals, syntax (which is a parsing error if it is too new),
+ * and rules, which turn off the preferences for anything newer than the target and disallow
+ * static methods that are newer than the target
+ *
+ * @param {number} version
+ */
+const legacyTarget = (version) => {
+  const newerStatics = Object.entries(modernStatics)
+    .filter(([added]) => Number(added) > version)
+    .flatMap(([added, objects]) =>
+      Object.entries(objects).flatMap(([object, properties]) =>
+        properties.map((property) => ({
+          object,
+          property,
+          message: `It was added in ES${added}, which is newer than the ES${version} target of this config.`,
+        }))
+      )
+    );
+  return {
+    // Only the environment of the target is turned on, it includes the globals of earlier versions
+    env: Object.fromEntries(
+      legacyVersions
+        .filter((v) => v !== 5)
+        .map((v) => [v === 2015 ? 'es6' : `es${v}`, v === version])
+    ),
+    parserOptions: {
+      ecmaVersion: version,
+      sourceType: 'script',
+      ecmaFeatures: { jsx: false },
+    },
+    rules: {
+      ...Object.assign(
+        {},
+        ...Object.entries(modernRules)
+          .filter(([added]) => Number(added) > version)
+          .map(([, rules]) => rules)
+      ),
+      ...prefix({
+        'unicorn/prefer-module': 'off',
+        'unicorn/prefer-top-level-await': 'off',
+      }),
+      'no-restricted-properties': ['error', ...newerStatics],
+    },
+  };
+};
+
+const legacyTargets = Object.fromEntries(
+  legacyVersions.map((version) => [version, legacyTarget(version)])
+);
+
+// For scripts that are shipped to old browsers without being transpiled,
+// like inline scripts and analytics snippets
+// It targets ES5, other versions can be targeted with createConfig (see src/create-config.js)
+const legacy = withLegacyTarget(browser, legacyTargets[5]);
+
+/**
+ * Rules for code that runs directly in Node, without being transpiled
+ * The supported Node versions come from `engines.node` in the package.json of the project
+ */
+const nodeRules = prefix({
+  'n/no-unsupported-features/es-syntax': ['error', { ignores: ['modules'] }],
+  'n/no-unsupported-features/es-builtins': 'error',
+  'n/no-unsupported-features/node-builtins': 'error',
+  'n/no-unpublished-bin': 'error',
+  'n/no-unpublished-import': 'error',
+  'n/no-unpublished-require': 'error',
+});
+
+const nodeTypescriptOverride = {
+  files: typescriptFiles,
+  rules: prefix({ 'n/no-unsupported-features/es-syntax': 'off' }),
+};
+
+// The Node version and the matching ecmaVersion are filled in at runtime
+// from the package.json of the project, see src/node-target.js
+const nodePreset = {
+  ...recommended,
+  rules: { ...recommended.rules, ...nodeRules },
+  overrides: [...recommended.overrides, nodeTypescriptOverride],
+};
+
+// Type-aware linting needs a tsconfig and is slow in editors,
+// so this uses the TS parser without a program, and leaves out the rules that need one
+const typescriptFast = {
+  ...recommended,
+  overrides: recommended.overrides.map((override) => {
+    if (!override.rules) return override;
+    if (override === typescriptOverride)
+      return {
+        ...override,
+        // Null turns off the tsconfig lookup (see src/typescript-parser.js)
+        parserOptions: { project: null },
+        rules: disableTypeCheckedRules(override.rules, recommendedRules),
+      };
+    return {
+      ...override,
+      rules: disableTypeCheckedRules(override.rules, recommendedRules),
+    };
+  }),
+};
+
+/**
+ * Rules that the recommended preset turns off to be lenient, rather than because they have false positives
+ * The strict preset turns them back on
+ */
+const strictRules = prefix({
+  'no-param-reassign': 'error',
+  'no-promise-executor-return': 'error',
+  'unicorn/no-array-callback-reference': 'error',
+  'unicorn/no-array-reduce': 'error',
+  'unicorn/no-null': 'error',
+  'unicorn/prefer-set-has': 'error',
+  'unicorn/prefer-switch': 'error',
+  'unicorn/prevent-abbreviations': 'error',
+});
+
+/** The same as strictRules, for the rules that the TS override turns off to be lenient */
+const strictTypescriptRules = prefix({
+  '@typescript-eslint/explicit-module-boundary-types': 'error',
+  '@typescript-eslint/no-explicit-any': 'error',
+  '@typescript-eslint/no-floating-promises': 'error',
+  '@typescript-eslint/no-unsafe-argument': 'error',
+  '@typescript-eslint/no-unsafe-assignment': 'error',
+  '@typescript-eslint/no-unsafe-call': 'error',
+  '@typescript-eslint/no-unsafe-member-access': 'error',
+  '@typescript-eslint/no-unsafe-return': 'error',
+  '@typescript-eslint/restrict-template-expressions': 'error',
+  '@typescript-eslint/unbound-method': 'error',
+});
+
+/** JSON files are data, so the strict rules are turned off for them, like the recommended rules */
+const jsonOverrides = new Set([
+  jsonOverride,
+  jsoncOverride,
+  packageJsonOverride,
+  tsconfigOverride,
+]);
+
+// For projects that want the checks that the recommended preset leaves to human reviewers
+const strict = {
+  ...recommended,
+  rules: { ...recommended.rules, ...strictRules },
+  overrides: recommended.overrides.map((override) => {
+    if (override === typescriptOverride)
+      return {
+        ...override,
+        rules: { ...override.rules, ...strictTypescriptRules },
+      };
+    if (jsonOverrides.has(override))
+      return {
+        ...override,
+        rules: { ...override.rules, ...turnOff(strictRules) },
+      };
+    return override;
+  }),
+};
+
+// Meant to be extended after one of the other presets, for JS projects that are type checked
+// with JSDoc comments (`allowJs` / `checkJs` in tsconfig.json)
+// The files are filled in at runtime with the JS files that the project's tsconfig includes,
+// see src/check-js.js
+const checkJs = {
+  overrides: [
+    {
+      files: ['*.js', '*.jsx', '*.mjs', '*.cjs'],
+      parser: require.resolve('./typescript-parser'),
+      rules: pickTypeCheckedRules(typescriptOverride.rules),
+    },
+  ],
+};
+
+/** The rule objects that src/rationale.js explains */
+const ruleScopes = {
+  recommended: { rules: recommendedRules },
+  typescript: typescriptOverride,
+  tests: testOverride,
+  declarations: declarationOverride,
+  browser: browserOverride,
+  tooling: toolingOverride,
+  storybook: storybookOverride,
+  esm: esmOverride,
+  commonjs: commonjsOverride,
+  mdxModules: mdxModuleOverride,
+  codeBlocks: codeBlockOverride,
+  typescriptCodeBlocks: typescriptCodeBlockOverride,
+  inlineScripts: inlineScriptOverride,
+  classicInlineScripts: classicInlineScriptOverride,
+  json: jsonOverride,
+  packageJson: packageJsonOverride,
+  tsconfig: tsconfigOverride,
+  node: { rules: nodeRules },
+  nodeTypescript: nodeTypescriptOverride,
+  legacy: legacyTargets[5],
+};
+const builtInRules = new Linter().getRules();
+
+/**
+ * The reasons from src/rationale.js, with the setting of each rule and the files that it applies to
+ * Reasons for rules that don't exist throw, so that they get removed when a rule is removed or renamed
+ */
+const rationale = Object.fromEntries(
+  Object.entries(reasons).map(
+    ([scope, { '*': otherReason, ...scopeReasons }]) => {
+      const { files, rules } = ruleScopes[scope];
+      const explained = Object.fromEntries(
+        Object.entries(prefix(scopeReasons)).map(([rule, reason]) => {
+          if (
+            !builtInRules.has(rule) &&
+            !(rule.replace(/^@cloudfour\//, '') in allRules)
+          )
+            throw new Error(
+              `src/rationale.js has a reason for ${rule} in ${scope}, but there is no rule with that name`
+            );
+          // Rules that are turned off are removed from the recommended rules
+          return [rule, { setting: rules[rule] || 'off', ...reason }];
+        })
+      );
+      const others = otherReason
+        ? Object.entries(rules)
+            .filter(([rule]) => !(rule in explained))
+            .map(([rule, setting]) => [rule, { setting, ...otherReason }])
+        : [];
+      return [
+        scope,
+        {
+          ...(files && { files }),
+          rules: { ...Object.fromEntries(others), ...explained },
+        },
+      ];
+    }
+  )
+);
+
+module.exports.configs = {
+  recommended,
+  browser,
+  legacy,
+  node: nodePreset,
+  strict,
+  'typescript-fast': typescriptFast,
+  'check-js': checkJs,
 };
+module.exports.environments = environments;
+module.exports.testRunnerOverrides = testRunnerOverrides;
+module.exports.moduleTypeOverrides = moduleTypeOverrides;
+module.exports.legacyTargets = legacyTargets;
+module.exports.strictRules = strictRules;
+module.exports.strictTypescriptRules = strictTypescriptRules;
+module.exports.rationale = rationale;
@@ -0,0 +1,451 @@
+const { Linter } = require('eslint');
+
+const {
+  configs,
+  testRunnerOverrides,
+  moduleTypeOverrides,
+  legacyTargets,
+  strictRules,
+  strictTypescriptRules,
+} = require('../dist/config');
+
+const {
+  changeWarnToError,
+  disableTypeCheckedRules,
+  turnOff,
+  withFlatLegacyTarget,
+  withLegacyTarget,
+} = require('./config-utils');
+const { getInternalRegex } = require('./import-aliases');
+const { getModuleTypeOverrides } = require('./module-type');
+const allRules = require('./rules');
+const { detectTestRunner } = require('./test-runner');
+
+/** @typedef {import('./config-utils').ESLintRuleConfig} ESLintRuleConfig */
+/** @typedef {{[key: string]: ESLintRuleConfig}} Rules */
+
+/**
+ * @typedef {object} CreateConfigOptions
+ * @property {('browser' | 'node')[]} [env] Where the code runs, defaults to `['node']`
+ * @property {5 | 2015 | 2016 | 2017 | 2018 | 2019 | 2020 | 2021} [target] The ECMAScript version
+ * of browser code that isn't transpiled, which uses the legacy preset instead of the browser preset
+ * @property {{project?: string | string[] | false}} [typescript] The `project` is passed to the TS parser
+ * instead of using the closest tsconfig, and `false` turns off the rules that need type information
+ * @property {'mocha' | 'jest' | 'vitest' | false} [tests] Defaults to the test runner in package.json
+ * @property {{[key: string]: unknown}} [importOrder] Options for `import/order`, merged into ours
+ * @property {string[]} [internalImports] Import specifiers (with `*` wildcards) that `import/order` sorts as internal,
+ * in addition to the path aliases and workspace packages that are detected
+ * @property {{[key: string]: unknown}} [jsdoc] Settings for eslint-plugin-jsdoc, merged into ours
+ * @property {'recommended' | 'strict'} [strictness] `strict` turns on the rules of the strict preset,
+ * and changes every warning to an error
+ * @property {Rules} [rules] Extra rules that apply to every file
+ * @property {'eslintrc' | 'flat'} [format] Defaults to `eslintrc`
+ */
+
+/**
+ * Everything that createConfig changes about a preset, in a way that works for either format
+ *
+ * @typedef {object} ConfigChanges
+ * @property {'recommended' | 'browser' | 'legacy'} preset
+ * @property {number | undefined} target
+ * @property {boolean} browserGlobals
+ * @property {{[key: string]: unknown}} settings
+ * @property {Rules} rules
+ * @property {string | string[] | false | undefined} project
+ * @property {string | false} testRunner
+ * @property {boolean} strict
+ */
+
+const optionNames = [
+  'env',
+  'target',
+  'typescript',
+  'tests',
+  'importOrder',
+  'internalImports',
+  'jsdoc',
+  'strictness',
+  'rules',
+  'format',
+];
+const envNames = ['browser', 'node'];
+const strictnessLevels = ['recommended', 'strict'];
+const formats = ['eslintrc', 'flat'];
+const targets = Object.keys(legacyTargets).map(Number);
+
+const typescriptParser = require.resolve('./typescript-parser');
+
+/**
+ * Checks whether an override (or flat config block) only applies to JSON files
+ *
+ * @param {string[]} files
+ */
+const isJsonOverride = (files) =>
+  files.every((pattern) => /\.jsonc?$/.test(pattern));
+
+/** @param {unknown} value */
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** @param {unknown[]} values */
+const list = (values) => values.map((v) => JSON.stringify(v)).join(', ');
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @param {unknown[]} allowed
+ */
+const assertOneOf = (name, value, allowed) => {
+  if (!allowed.includes(value))
+    throw new Error(
+      `createConfig: ${name} must be one of ${list(allowed)}, got ${list([
+        value,
+      ])}`
+    );
+};
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ */
+const assertObject = (name, value) => {
+  if (!isObject(value))
+    throw new Error(
+      `createConfig: ${name} must be an object, got ${list([value])}`
+    );
+};
+
+/** @type {Set<string> | undefined} */
+let builtInRules;
+
+/**
+ * Throws if a rule is not one of ESLint's built-in rules or one of the rules in this plugin
+ *
+ * @param {string} name
+ */
+const assertRuleExists = (name) => {
+  if (name.startsWith('@cloudfour/')) {
+    if (name.slice('@cloudfour/'.length) in allRules) return;
+    throw new Error(
+      `createConfig: unknown rule "${name}", there is no rule with that name in @cloudfour/eslint-plugin`
+    );
+  }
+
+  if (name.includes('/')) {
+    const prefixed = `@cloudfour/${name.replace(/^@/, '')}`;
+    throw new Error(
+      prefixed.slice('@cloudfour/'.length) in allRules
+        ? `createConfig: unknown rule "${name}", did you mean "${prefixed}"? The plugins are exposed through @cloudfour/eslint-plugin, so their rules need the @cloudfour/ prefix`
+        : `createConfig: unknown rule "${name}", rules from other plugins can't be used in createConfig, add them to your config after it instead`
+    );
+  }
+
+  if (!builtInRules) builtInRules = new Set(new Linter().getRules().keys());
+  if (!builtInRules.has(name))
+    throw new Error(
+      `createConfig: unknown rule "${name}", it is not one of ESLint's built-in rules`
+    );
+};
+
+/** @param {{[key: string]: unknown}} typescript */
+const assertTypescriptOptions = (typescript) => {
+  assertObject('typescript', typescript);
+  for (const name of Object.keys(typescript)) {
+    if (name !== 'project')
+      throw new Error(
+        `createConfig: unknown option "typescript.${name}", the only option is "typescript.project"`
+      );
+  }
+
+  const { project } = typescript;
+  if (
+    !(
+      project === undefined ||
+      project === false ||
+      typeof project === 'string' ||
+      (Array.isArray(project) && project.every((p) => typeof p === 'string'))
+    )
+  )
+    throw new Error(
+      `createConfig: typescript.project must be a path, an array of paths, or false, got ${list(
+        [project]
+      )}`
+    );
+};
+
+/** @param {unknown} internalImports */
+const assertInternalImports = (internalImports) => {
+  if (
+    !Array.isArray(internalImports) ||
+    !internalImports.every((specifier) => typeof specifier === 'string')
+  )
+    throw new Error(
+      `createConfig: internalImports must be an array of import specifiers, got ${list(
+        [internalImports]
+      )}`
+    );
+};
+
+/**
+ * Checks the options and works out what needs to change in the preset
+ *
+ * @param {CreateConfigOptions} options
+ * @returns {ConfigChanges}
+ */
+const getChanges = (options) => {
+  assertObject('the options', options);
+  for (const name of Object.keys(options)) {
+    if (!optionNames.includes(name))
+      throw new Error(
+        `createConfig: unknown option "${name}", the options are ${list(
+          optionNames
+        )}`
+      );
+  }
+
+  const {
+    env = ['node'],
+    target,
+    typescript = {},
+    tests = detectTestRunner() || false,
+    importOrder,
+    internalImports = [],
+    jsdoc,
+    strictness = 'recommended',
+    rules = {},
+  } = options;
+
+  if (!Array.isArray(env) || env.length === 0)
+    throw new Error(
+      `createConfig: env must be an array with at least one of ${list(
+        envNames
+      )}`
+    );
+  for (const name of env) assertOneOf('each env', name, envNames);
+  if (target !== undefined) {
+    assertOneOf('target', target, targets);
+    if (env.length !== 1 || env[0] !== 'browser')
+      throw new Error(
+        'createConfig: target can only be used with env: ["browser"], since Node code can use the syntax of the Node version it runs on'
+      );
+  }
+
+  assertTypescriptOptions(typescript);
+  assertOneOf('tests', tests, [...Object.keys(testRunnerOverrides), false]);
+  if (importOrder !== undefined) assertObject('importOrder', importOrder);
+  assertInternalImports(internalImports);
+  if (jsdoc !== undefined) assertObject('jsdoc', jsdoc);
+  assertOneOf('strictness', strictness, strictnessLevels);
+  assertObject('rules', rules);
+  for (const name of Object.keys(rules)) assertRuleExists(name);
+
+  const preset =
+    target === undefined
+      ? env.includes('node')
+        ? 'recommended'
+        : 'browser'
+      : 'legacy';
+  const [, importOrderOptions] = /** @type {[string, object]} */ (
+    configs[preset].rules['@cloudfour/import/order']
+  );
+  const internalRegex = getInternalRegex(internalImports);
+  return {
+    preset,
+    target,
+    browserGlobals: env.includes('node') && env.includes('browser'),
+    settings: {
+      ...(jsdoc && { jsdoc: { ...configs[preset].settings.jsdoc, ...jsdoc } }),
+      ...(internalRegex && { 'import/internal-regex': internalRegex }),
+    },
+    rules: {
+      ...(importOrder && {
+        '@cloudfour/import/order': [
+          'error',
+          { ...importOrderOptions, ...importOrder },
+        ],
+      }),
+      ...rules,
+    },
+    project: typescript.project,
+    testRunner: tests,
+    strict: strictness === 'strict',
+  };
+};
+
+/**
+ * Applies the changes to the rules and parser options of an override (or flat config block)
+ *
+ * @param {object} override
+ * @param {Rules} override.rules
+ * @param {{[key: string]: unknown}} [override.parserOptions]
+ * @param {boolean} override.isTypescript whether this is the override that uses the TS parser
+ * @param {boolean} override.isJson whether the override only applies to JSON files
+ * @param {ConfigChanges} changes
+ * @param {Rules} baseRules the rules that apply to every file
+ */
+const changeOverride = (
+  { rules, parserOptions, isTypescript, isJson },
+  changes,
+  baseRules
+) => {
+  let result = rules;
+  // The same changes as in the strict preset
+  if (changes.strict && isTypescript)
+    result = { ...result, ...strictTypescriptRules };
+  if (changes.strict && isJson) result = { ...result, ...turnOff(strictRules) };
+  if (changes.project === false)
+    result = disableTypeCheckedRules(result, baseRules);
+  if (changes.strict) result = changeWarnToError(result);
+  if (!isTypescript || changes.project === undefined)
+    return { rules: result, parserOptions };
+  return {
+    rules: result,
+    parserOptions: {
+      ...parserOptions,
+      // Null turns off the tsconfig lookup, like in the typescript-fast preset
+      project: changes.project === false ? null : changes.project,
+    },
+  };
+};
+
+/**
+ * @param {ConfigChanges} changes
+ * @returns {import('eslint').Linter.Config}
+ */
+const toEslintrc = (changes) => {
+  // The legacy preset targets ES5, other targets are applied to the browser preset,
+  // since the rules that the ES5 target turns off might need to stay on
+  const preset =
+    changes.target === undefined
+      ? configs[changes.preset]
+      : withLegacyTarget(configs.browser, legacyTargets[changes.target]);
+  const rules = {
+    ...preset.rules,
+    ...(changes.strict && strictRules),
+    ...changes.rules,
+  };
+  const moduleTypeBlocks = getModuleTypeOverrides(
+    moduleTypeOverrides,
+    changes.preset
+  );
+  const overrides = [
+    ...preset.overrides,
+    ...(changes.testRunner ? [testRunnerOverrides[changes.testRunner]] : []),
+    ...moduleTypeBlocks,
+  ];
+  return {
+    ...preset,
+    env: changes.browserGlobals ? { ...preset.env, browser: true } : preset.env,
+    settings: { ...preset.settings, ...changes.settings },
+    rules: changes.strict ? changeWarnToError(rules) : rules,
+    overrides: overrides.map((override) => {
+      if (!override.rules) return override;
+      const changed = changeOverride(
+        {
+          rules: override.rules,
+          parserOptions: override.parserOptions,
+          isTypescript: override.parser === typescriptParser,
+          isJson: isJsonOverride(override.files),
+        },
+        changes,
+        rules
+      );
+      return {
+        ...override,
+        ...(changed.parserOptions && { parserOptions: changed.parserOptions }),
+        rules: changed.rules,
+      };
+    }),
+  };
+};
+
+/**
+ * @param {ConfigChanges} changes
+ * @returns {{[key: string]: any}[]}
+ */
+const toFlat = (changes) => {
+  // Loaded lazily, because the flat config plugins load index.js, which loads this file
+  const flat = require('../dist/flat');
+  const parser = require('./typescript-parser');
+  const [presetBase, ...presetBlocks] =
+    changes.target === undefined
+      ? flat.configs[changes.preset]
+      : flat.configs.browser;
+  const base =
+    changes.target === undefined
+      ? presetBase
+      : withFlatLegacyTarget(presetBase, flat.legacyTargets[changes.target]);
+  const moduleTypeBlocks = getModuleTypeOverrides(
+    flat.moduleTypeOverrides,
+    changes.preset
+  );
+  const blocks = [
+    ...presetBlocks,
+    ...(changes.testRunner
+      ? [flat.testRunnerOverrides[changes.testRunner]]
+      : []),
+    ...moduleTypeBlocks,
+  ];
+  const rules = {
+    ...base.rules,
+    ...(changes.strict && strictRules),
+    ...changes.rules,
+  };
+  // The browser preset has the browser globals, and the Node globals turned off
+  const browserGlobals = changes.browserGlobals
+    ? Object.fromEntries(
+        Object.entries(flat.configs.browser[0].languageOptions.globals).filter(
+          ([, value]) => value !== 'off'
+        )
+      )
+    : {};
+  return [
+    {
+      ...base,
+      languageOptions: {
+        ...base.languageOptions,
+        globals: { ...base.languageOptions.globals, ...browserGlobals },
+      },
+      settings: { ...base.settings, ...changes.settings },
+      rules: changes.strict ? changeWarnToError(rules) : rules,
+    },
+    ...blocks.map((block) => {
+      if (!block.rules) return block;
+      const changed = changeOverride(
+        {
+          rules: block.rules,
+          parserOptions: block.languageOptions?.parserOptions,
+          isTypescript: block.languageOptions?.parser === parser,
+          isJson: Boolean(block.files && isJsonOverride(block.files)),
+        },
+        changes,
+        rules
+      );
+      return {
+        ...block,
+        ...(changed.parserOptions && {
+          languageOptions: {
+            ...block.languageOptions,
+            parserOptions: changed.parserOptions,
+          },
+        }),
+        rules: changed.rules,
+      };
+    }),
+  ];
+};
+
+/**
+ * Builds a config from the same pieces as the presets, with the given options
+ * Throws if an option or a rule name is not valid
+ *
+ * @param {CreateConfigOptions} [options]
+ */
+const createConfig = (options = {}) => {
+  const changes = getChanges(options);
+  const { format = 'eslintrc' } = options;
+  assertOneOf('format', format, formats);
+  return format === 'flat' ? toFlat(changes) : toEslintrc(changes);
+};
+
+module.exports = { createConfig };
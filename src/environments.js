@@ -0,0 +1,137 @@
+const { Legacy } = require('@eslint/eslintrc');
+const typescript = require('@typescript-eslint/eslint-plugin');
+const eslintImport = require('eslint-plugin-import');
+const jsdoc = require('eslint-plugin-jsdoc');
+const node = require('eslint-plugin-n');
+const promise = require('eslint-plugin-promise');
+const unicorn = require('eslint-plugin-unicorn');
+
+/** @typedef {{globals: {[key: string]: boolean}}} Environment */
+
+/**
+ * Web APIs that are available in every kind of worker,
+ * but that are missing from ESLint's built-in `worker` and `serviceworker` environments
+ */
+const modernWorkerGlobals = {
+  AbortController: false,
+  AbortSignal: false,
+  crypto: false,
+  Crypto: false,
+  CryptoKey: false,
+  DOMException: false,
+  EventTarget: false,
+  File: false,
+  FileReader: false,
+  ReadableStream: false,
+  reportError: false,
+  structuredClone: false,
+  SubtleCrypto: false,
+  TransformStream: false,
+  WorkerLocation: false,
+  WorkerNavigator: false,
+  WritableStream: false,
+};
+
+/**
+ * The globals that ESLint's built-in environments include, but that shouldn't be used in workers
+ * Most of these are easy to use by accident instead of a local variable (like `name` and `close`),
+ * and `self.name` or `self.close()` is clearer. The rest are deprecated
+ */
+const excludedWorkerGlobals = [
+  'applicationCache',
+  'close',
+  'location',
+  'name',
+  'onerror',
+  'PerformanceNavigation',
+  'PerformanceTiming',
+  'ServiceWorkerMessageEvent',
+];
+
+/**
+ * Starts from one of ESLint's built-in environments, and curates it for workers
+ *
+ * @param {string} name the name of the built-in environment
+ * @param {string[]} [excluded] extra globals that aren't available in this kind of worker
+ * @param {{[key: string]: boolean}} [extra] extra globals that are available in this kind of worker
+ * @returns {Environment}
+ */
+const workerEnvironment = (name, excluded = [], extra = {}) => ({
+  globals: {
+    ...Object.fromEntries(
+      Object.entries(Legacy.environments.get(name).globals).filter(
+        ([global]) =>
+          !excludedWorkerGlobals.includes(global) && !excluded.includes(global)
+      )
+    ),
+    ...modernWorkerGlobals,
+    ...extra,
+  },
+});
+
+/** @type {{[name: string]: Environment}} */
+const ownEnvironments = {
+  'service-worker': workerEnvironment(
+    'serviceworker',
+    // Service workers can't start workers or make synchronous requests
+    ['Worker', 'XMLHttpRequest'],
+    {
+      NotificationEvent: false,
+      PushEvent: false,
+      PushMessageData: false,
+      SyncEvent: false,
+    }
+  ),
+  'web-worker': workerEnvironment('worker', [], {
+    DedicatedWorkerGlobalScope: false,
+  }),
+  // Storybook stories and config files get bundled by webpack or Vite
+  storybook: {
+    globals: {
+      // For `module.hot` and `storiesOf('Name', module)`
+      module: false,
+      // For `require.context()` in main.js and preview.js
+      require: false,
+      // Environment variables that start with STORYBOOK_ are available through `process.env`
+      process: false,
+      __STORYBOOK_ADDONS_CHANNEL__: false,
+      __STORYBOOK_STORY_STORE__: false,
+    },
+  },
+  // Inline scripts in Twig templates run in the page, next to the scripts that Drupal adds
+  'twig-inline': {
+    globals: {
+      Drupal: false,
+      drupalSettings: false,
+      drupalTranslations: false,
+      jQuery: false,
+      once: false,
+    },
+  },
+};
+
+/**
+ * Prefixes each environment of a plugin, the same way that src/rules.js hoists the rules
+ *
+ * @param {string} prefix
+ * @param {{environments?: {[name: string]: Environment}}} plugin
+ */
+const hoist = (prefix, plugin) =>
+  Object.fromEntries(
+    Object.entries(plugin.environments || {}).map(([key, val]) => [
+      `${prefix}/${key}`,
+      val,
+    ])
+  );
+
+// None of the plugins currently have environments,
+// but if they add any, they are exposed as @cloudfour/<plugin>/<environment>
+module.exports = {
+  ...hoist('n', node),
+  ...hoist('import', eslintImport),
+  ...hoist('promise', promise),
+  ...hoist('unicorn', unicorn),
+  ...hoist('jsdoc', jsdoc),
+  ...hoist('typescript-eslint', typescript),
+  ...ownEnvironments,
+};
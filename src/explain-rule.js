@@ -0,0 +1,29 @@
+const { rationale } = require('../dist/config');
+
+const { prefix } = require('./config-utils');
+
+/**
+ * @typedef {object} RuleExplanation
+ * @property {string} scope The part of the config that sets the rule, like `recommended` or `typescript`
+ * @property {string[]} [files] The files that it applies to, if it doesn't apply to every file
+ * @property {import('./config-utils').ESLintRuleConfig} setting
+ * @property {string} reason
+ * @property {string} [link] The pull request or discussion where it was decided
+ * @property {string} [since] The version of this package that introduced it
+ */
+
+/**
+ * Explains why a rule is configured the way it is, for tooling and editor integrations
+ * Returns an empty array for rules that are used the way their plugin recommends
+ *
+ * @param {string} name The rule name, with or without the `@cloudfour/` prefix
+ * @returns {RuleExplanation[]}
+ */
+const explainRule = (name) => {
+  const [rule] = Object.keys(prefix({ [name]: 'off' }));
+  return Object.entries(rationale).flatMap(([scope, { files, rules }]) =>
+    rules[rule] ? [{ scope, ...(files && { files }), ...rules[rule] }] : []
+  );
+};
+
+module.exports = { explainRule };
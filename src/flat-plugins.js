@@ -0,0 +1,21 @@
+const plugin = require('../index.js');
+
+/**
+ * Builds the `plugins` object for flat configs
+ *
+ * Flat configs split rule names at the last slash to find the plugin,
+ * so `@cloudfour/n/no-missing-import` is looked up as the `no-missing-import` rule
+ * of an `@cloudfour/n` plugin. Each hoisted plugin is registered under its own
+ * `@cloudfour/` namespace so that rule names are the same as in eslintrc configs.
+ */
+const plugins = { '@cloudfour': plugin };
+
+for (const [name, rule] of Object.entries(plugin.rules)) {
+  const slashIndex = name.lastIndexOf('/');
+  if (slashIndex === -1) continue;
+  const namespace = `@cloudfour/${name.slice(0, slashIndex)}`;
+  plugins[namespace] = plugins[namespace] || { rules: {} };
+  plugins[namespace].rules[name.slice(slashIndex + 1)] = rule;
+}
+
+module.exports = plugins;
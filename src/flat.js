@@ -0,0 +1,154 @@
+const { Legacy } = require('@eslint/eslintrc');
+
+/** @typedef {import('eslint').Linter.Config} ESLintRCConfig */
+/** @typedef {import('eslint').Linter.ConfigOverride} ESLintRCOverride */
+/** @typedef {{[key: string]: unknown}} FlatConfig */
+
+// Flat configs can't reference plugins by name, they need the plugin objects.
+// This path gets swapped out with a require() call when the config is snapshotted
+const pluginsPath = require.resolve('./flat-plugins');
+
+/**
+ * Converts an eslintrc glob into a flat config glob
+ * In eslintrc, a pattern without a slash matches the file name in any directory,
+ * but in flat configs, patterns are relative to the config file
+ * Patterns that start with `/` or `./` only match files next to the config file in both
+ *
+ * @param {string} pattern
+ */
+const toFlatGlob = (pattern) =>
+  pattern.includes('/') ? pattern.replace(/^\.?\//, '') : `**/${pattern}`;
+
+/**
+ * Normalizes eslintrc global values (true/false) to the flat config strings
+ *
+ * @param {{[key: string]: boolean | string}} globals
+ */
+const normalizeGlobals = (globals) =>
+  Object.fromEntries(
+    Object.entries(globals).map(([name, val]) => {
+      if (val === true || val === 'writeable') return [name, 'writable'];
+      if (val === false || val === 'readable') return [name, 'readonly'];
+      return [name, val];
+    })
+  );
+
+/**
+ * Resolves the globals for all environments
+ * Flat configs don't have `env`, so the globals get inlined instead.
+ * Environments that are explicitly disabled have their globals turned off,
+ * unless they are also defined by an enabled environment
+ *
+ * @param {{[key: string]: boolean}} env
+ * @param {{[key: string]: {globals?: {[key: string]: boolean | string}}}} environments this plugin's own environments
+ */
+const envToGlobals = (env, environments) => {
+  /** @param {string} name */
+  const getGlobals = (name) => {
+    const environment = name.startsWith('@cloudfour/')
+      ? environments[name.slice('@cloudfour/'.length)]
+      : Legacy.environments.get(name);
+    if (!environment) throw new Error(`Unknown environment: ${name}`);
+    return environment.globals || {};
+  };
+
+  const entries = Object.entries(env);
+  const disabled = entries
+    .filter(([, enabled]) => !enabled)
+    .flatMap(([name]) => Object.keys(getGlobals(name)))
+    .map((name) => [name, 'off']);
+  const enabled = entries
+    .filter(([, enabled]) => enabled)
+    .map(([name]) => getGlobals(name));
+  return Object.assign(Object.fromEntries(disabled), ...enabled);
+};
+
+/**
+ * Converts the parts that are shared between eslintrc configs and overrides
+ *
+ * @param {ESLintRCConfig | ESLintRCOverride} config
+ * @param {{[key: string]: {globals?: {[key: string]: boolean | string}}}} environments
+ * @returns {FlatConfig}
+ */
+const convertBlock = (config, environments) => {
+  const {
+    ecmaVersion,
+    sourceType,
+    // Everything else (ecmaFeatures, project, etc.) is passed through to the parser
+    ...parserOptions
+  } = config.parserOptions || {};
+  const globals = {
+    ...envToGlobals(config.env || {}, environments),
+    ...config.globals,
+  };
+
+  /** @type {FlatConfig} */
+  const languageOptions = {};
+  if (ecmaVersion !== undefined) languageOptions.ecmaVersion = ecmaVersion;
+  if (sourceType !== undefined) languageOptions.sourceType = sourceType;
+  if (Object.keys(globals).length > 0)
+    languageOptions.globals = normalizeGlobals(globals);
+  if (config.parser) languageOptions.parser = config.parser;
+  if (Object.keys(parserOptions).length > 0)
+    languageOptions.parserOptions = parserOptions;
+
+  /** @type {FlatConfig} */
+  const block = {};
+  if (Object.keys(languageOptions).length > 0)
+    block.languageOptions = languageOptions;
+  if (config.processor) block.processor = config.processor;
+  if (config.settings) block.settings = config.settings;
+  if (config.rules) block.rules = config.rules;
+  return block;
+};
+
+/**
+ * Converts an eslintrc override into a flat config object
+ *
+ * @param {ESLintRCOverride} override
+ * @param {{[key: string]: {globals?: {[key: string]: boolean | string}}}} [environments]
+ * @returns {FlatConfig}
+ */
+const toFlatOverride = (override, environments = {}) => {
+  const files = [override.files].flat().map((p) => toFlatGlob(p));
+  const ignores = [override.excludedFiles || []]
+    .flat()
+    .map((p) => toFlatGlob(p));
+  return {
+    files,
+    ...(ignores.length > 0 && { ignores }),
+    ...convertBlock(override, environments),
+  };
+};
+
+/**
+ * Converts an eslintrc-style config into an array of flat config objects
+ * The base config comes first, followed by one object per override, so that the
+ * overrides keep applying on top of the base config
+ *
+ * @param {ESLintRCConfig} config
+ * @param {{[key: string]: {globals?: {[key: string]: boolean | string}}}} [environments]
+ * @returns {FlatConfig[]}
+ */
+const toFlatConfig = (config, environments = {}) => [
+  { plugins: pluginsPath, ...convertBlock(config, environments) },
+  ...(config.overrides || []).map((override) =>
+    toFlatOverride(override, environments)
+  ),
+];
+
+/**
+ * Converts each of the eslintrc presets into a flat config
+ *
+ * @param {{[key: string]: ESLintRCConfig}} configs
+ * @param {{[key: string]: {globals?: {[key: string]: boolean | string}}}} [environments]
+ */
+const toFlatConfigs = (configs, environments) =>
+  Object.fromEntries(
+    Object.entries(configs).map(([name, config]) => [
+      name,
+      toFlatConfig(config, environments),
+    ])
+  );
+
+module.exports = { convertBlock, toFlatConfig, toFlatConfigs, toFlatOverride };
@@ -0,0 +1,168 @@
+const { readFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+
+const { Minimatch } = require('minimatch');
+
+const { findProjectRoot, findUp, readPackageJson } = require('./project');
+const { getStaticFolder, listFiles } = require('./rules/utils/package-files');
+const { findProjects } = require('./typescript-parser');
+
+/**
+ * Reads a package.json at a path, or returns an empty object if it can't be parsed
+ *
+ * @param {string} filePath
+ * @returns {{[key: string]: any}}
+ */
+const readJson = (filePath) => {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Gets the `paths` aliases from the closest tsconfig and the projects it references,
+ * like `@/*` or `~/*`
+ *
+ * @param {string} cwd
+ * @param {string} root the folder where the search for a tsconfig stops
+ * @returns {string[]}
+ */
+const getPathAliases = (cwd, root) => {
+  const projects = findProjects(cwd, root);
+  if (projects.length === 0) return [];
+
+  // If there is a tsconfig, TypeScript must be installed
+  const ts = require('typescript');
+  return projects.flatMap((project) => {
+    const { config } = ts.readConfigFile(project, ts.sys.readFile);
+    if (!config) return [];
+    // Parsing the config follows `extends`, where `paths` are often set
+    const { options } = ts.parseJsonConfigFileContent(
+      config,
+      ts.sys,
+      dirname(project)
+    );
+    return Object.keys(options.paths || {});
+  });
+};
+
+/**
+ * Gets the names of the packages in the workspaces of the closest package.json that has `workspaces`
+ * Workspace packages are linked into node_modules, so they look like npm packages
+ *
+ * @param {string} cwd
+ * @param {string} root the folder where the search for a package.json stops
+ * @returns {string[]}
+ */
+const getWorkspacePackages = (cwd, root) => {
+  let packageJsonPath = findUp('package.json', cwd);
+  while (packageJsonPath) {
+    const { workspaces } = readJson(packageJsonPath);
+    // Yarn also allows an object with the patterns in `packages`
+    const patterns = Array.isArray(workspaces)
+      ? workspaces
+      : workspaces?.packages;
+    if (Array.isArray(patterns)) {
+      const root = dirname(packageJsonPath);
+      return patterns.flatMap((pattern) => {
+        const matcher = new Minimatch(pattern.replace(/\/$/, ''));
+        return listFiles(root, getStaticFolder(pattern))
+          .filter(
+            (file) =>
+              file.endsWith('/package.json') && matcher.match(dirname(file))
+          )
+          .map((file) => readJson(join(root, file)).name)
+          .filter((name) => typeof name === 'string');
+      });
+    }
+
+    const folder = dirname(packageJsonPath);
+    const parent = dirname(folder);
+    if (folder === root || parent === folder) break;
+    packageJsonPath = findUp('package.json', parent);
+  }
+
+  return [];
+};
+
+/**
+ * Changes an import specifier with `*` wildcards (like in tsconfig `paths`) into a regex source
+ *
+ * @param {string} specifier
+ */
+const toRegexSource = (specifier) =>
+  specifier
+    .split('*')
+    .map((part) => part.replace(/[$()+.?[\\\]^{|}]/g, '\\$&'))
+    .join('.*');
+
+/** @type {Map<string, string | undefined>} */
+const internalRegexCache = new Map();
+
+/**
+ * Builds the `import/internal-regex` setting, which makes `import/order` sort imports of the project's own code
+ * (path aliases, subpath imports, and workspace packages) with the internal imports,
+ * instead of with the npm packages
+ * The result is cached for each folder, since the presets are built each time that they are read
+ *
+ * @param {string[]} [extraSpecifiers] more specifiers to treat as internal, with `*` wildcards
+ * @param {string} [cwd]
+ * @returns {string | undefined}
+ */
+const getInternalRegex = (extraSpecifiers = [], cwd = process.cwd()) => {
+  const cacheKey = [cwd, ...extraSpecifiers].join('\0');
+  if (internalRegexCache.has(cacheKey)) return internalRegexCache.get(cacheKey);
+  const root = findProjectRoot(cwd);
+  const { imports } = readPackageJson(cwd);
+  const sources = [
+    ...getPathAliases(cwd, root),
+    // Subpath imports in package.json always start with #
+    ...Object.keys(imports || {}),
+    ...extraSpecifiers,
+  ].map((specifier) => toRegexSource(specifier));
+  const packages = getWorkspacePackages(cwd, root).map(
+    // Imports of files inside of a package, like `@org/utils/format`, are internal too
+    (name) => `${toRegexSource(name)}(?:/.*)?`
+  );
+  const all = [...new Set([...sources, ...packages])];
+  const internalRegex = all.length === 0 ? undefined : `^(?:${all.join('|')})$`;
+  internalRegexCache.set(cacheKey, internalRegex);
+  return internalRegex;
+};
+
+/**
+ * Adds the internal imports of the project to the settings of an eslintrc config
+ *
+ * @param {import('eslint').Linter.Config} config
+ * @param {string} [cwd]
+ */
+const withImportAliases = (config, cwd) => {
+  const internalRegex = getInternalRegex([], cwd);
+  if (!internalRegex) return config;
+  return {
+    ...config,
+    settings: { ...config.settings, 'import/internal-regex': internalRegex },
+  };
+};
+
+/**
+ * Adds the internal imports of the project to the settings of a flat config
+ *
+ * @param {{[key: string]: any}[]} configs
+ * @param {string} [cwd]
+ */
+const withFlatImportAliases = ([base, ...blocks], cwd) => {
+  const internalRegex = getInternalRegex([], cwd);
+  if (!internalRegex) return [base, ...blocks];
+  return [
+    {
+      ...base,
+      settings: { ...base.settings, 'import/internal-regex': internalRegex },
+    },
+    ...blocks,
+  ];
+};
+
+module.exports = { getInternalRegex, withImportAliases, withFlatImportAliases };
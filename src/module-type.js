@@ -0,0 +1,184 @@
+const { execFileSync } = require('node:child_process');
+const { readFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+
+const { readPackageJson } = require('./project');
+const { listFiles } = require('./rules/utils/package-files');
+
+/**
+ * Reads the "type" of a package.json, or returns undefined if it can't be parsed
+ *
+ * @param {string} filePath
+ * @returns {unknown}
+ */
+const readType = (filePath) => {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8')).type;
+  } catch {}
+};
+
+/**
+ * Lists the package.json files in the folders inside of `cwd`
+ * Git lists them from its index, without reading every folder, and skips the files that it ignores
+ * (like build output), so the folders only need to be walked outside of git repos
+ *
+ * @param {string} cwd
+ * @returns {string[]}
+ */
+const listNestedPackageJsonFiles = (cwd) => {
+  let files;
+  try {
+    files = execFileSync(
+      'git',
+      [
+        'ls-files',
+        '-z',
+        '--cached',
+        '--others',
+        '--exclude-standard',
+        '--',
+        '**/package.json',
+      ],
+      { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }
+    ).split('\0');
+  } catch {
+    files = listFiles(cwd);
+  }
+
+  return files.filter((file) => file.endsWith('/package.json'));
+};
+
+/** @type {Map<string, {folder: string, type: unknown}[]>} */
+const packagesCache = new Map();
+
+/**
+ * Finds the package.json files in the project, and the module type that each one sets
+ * Node uses the closest package.json to each file, so in a monorepo, each package can have its own "type"
+ * The first one is the package.json of the project itself, with the folder `''`
+ *
+ * @param {string} cwd
+ */
+const findPackages = (cwd) => {
+  const cached = packagesCache.get(cwd);
+  if (cached) return cached;
+  const packages = [
+    { folder: '', type: readPackageJson(cwd).type },
+    ...listNestedPackageJsonFiles(cwd).map((file) => ({
+      folder: dirname(file),
+      type: readType(join(cwd, file)),
+    })),
+  ];
+  packagesCache.set(cwd, packages);
+  return packages;
+};
+
+/**
+ * Moves a glob into a folder
+ *
+ * @param {string} folder
+ * @param {string} pattern
+ */
+const inFolder = (folder, pattern) => {
+  if (folder === '') return pattern;
+  // Globs without a slash match files in any folder
+  return pattern.includes('/')
+    ? `${folder}/${pattern}`
+    : `${folder}/**/${pattern}`;
+};
+
+/**
+ * Picks the override for the .js files of one package, based on its "type"
+ * Packages without a "type" keep the defaults,
+ * because their .js files are often ES modules that get bundled
+ *
+ * @template T
+ * @param {{module: T, commonjs: T}} overrides
+ * @param {unknown} type
+ * @param {string} presetName
+ * @returns {T | undefined}
+ */
+const pickOverride = (overrides, type, presetName) => {
+  if (type === 'module') return overrides.module;
+  // Browser code gets bundled, so it doesn't matter how Node would load it
+  if (type === 'commonjs' && presetName !== 'browser')
+    return overrides.commonjs;
+};
+
+/**
+ * Gets the overrides for .js files, based on the "type" in the closest package.json to each file
+ * Each override only applies to the folder of its package.json, without the packages inside of it
+ * Works with both eslintrc overrides (`excludedFiles`) and flat config blocks (`ignores`)
+ *
+ * @template {{files: string[], excludedFiles?: string[], ignores?: string[]}} T
+ * @param {{module: T, commonjs: T}} overrides
+ * @param {string} presetName
+ * @param {string} [cwd]
+ * @returns {T[]}
+ */
+const getModuleTypeOverrides = (overrides, presetName, cwd = process.cwd()) => {
+  // Legacy code isn't transpiled, so it is always a classic script
+  if (presetName === 'legacy') return [];
+  const packages = findPackages(cwd);
+  return packages.flatMap(({ folder, type }) => {
+    const override = pickOverride(overrides, type, presetName);
+    if (!override) return [];
+    const excludedKey = 'ignores' in override ? 'ignores' : 'excludedFiles';
+    const nestedPackages = packages
+      .filter(
+        (other) =>
+          other.folder !== '' &&
+          other.folder !== folder &&
+          (folder === '' || other.folder.startsWith(`${folder}/`))
+      )
+      .map((other) => `${other.folder}/**`);
+    const excluded = [
+      ...(override[excludedKey] || []).map((pattern) =>
+        inFolder(folder, pattern)
+      ),
+      ...nestedPackages,
+    ];
+    return [
+      {
+        ...override,
+        files: override.files.map((pattern) => inFolder(folder, pattern)),
+        ...(excluded.length > 0 && { [excludedKey]: excluded }),
+      },
+    ];
+  });
+};
+
+/**
+ * Adds the module type of the project's .js files to an eslintrc config
+ *
+ * @param {import('eslint').Linter.Config} config
+ * @param {{[type: string]: import('eslint').Linter.ConfigOverride}} overrides
+ * @param {string} presetName
+ * @param {string} [cwd]
+ */
+const withModuleType = (config, overrides, presetName, cwd) => {
+  const moduleTypeOverrides = getModuleTypeOverrides(
+    overrides,
+    presetName,
+    cwd
+  );
+  if (moduleTypeOverrides.length === 0) return config;
+  return {
+    ...config,
+    overrides: [...(config.overrides || []), ...moduleTypeOverrides],
+  };
+};
+
+/**
+ * Adds the module type of the project's .js files to a flat config
+ *
+ * @param {{[key: string]: any}[]} configs
+ * @param {{[type: string]: {[key: string]: any}}} overrides
+ * @param {string} presetName
+ * @param {string} [cwd]
+ */
+const withFlatModuleType = (configs, overrides, presetName, cwd) => [
+  ...configs,
+  ...getModuleTypeOverrides(overrides, presetName, cwd),
+];
+
+module.exports = { getModuleTypeOverrides, withModuleType, withFlatModuleType };
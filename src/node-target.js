@@ -0,0 +1,103 @@
+const semver = require('semver');
+
+const { engines } = require('../package.json');
+
+const { readPackageJson } = require('./project');
+
+/**
+ * The first Node version that supports all of the syntax of each ECMAScript version
+ * Sorted from newest to oldest
+ *
+ * @type {[string, number][]}
+ */
+const ecmaVersions = [
+  ['20.0.0', 2023],
+  ['16.11.0', 2022], // Class static blocks
+  ['15.0.0', 2021], // Logical assignment operators
+  ['14.0.0', 2020], // Optional chaining and nullish coalescing
+  ['12.0.0', 2019],
+  ['10.0.0', 2018],
+  ['8.10.0', 2017],
+  ['7.6.0', 2016],
+  ['6.0.0', 2015],
+];
+
+/**
+ * Figures out which Node versions the project being linted supports,
+ * based on `engines.node` in its package.json.
+ * If the project doesn't specify, this plugin's own supported versions are used
+ *
+ * @param {string} [cwd]
+ */
+const getNodeTarget = (cwd) => {
+  const projectRange = readPackageJson(cwd).engines?.node;
+  const hasValidRange = Boolean(
+    projectRange && semver.validRange(projectRange)
+  );
+  const range = hasValidRange ? projectRange : engines.node;
+  const minVersion = semver.minVersion(range);
+  const [, ecmaVersion] = ecmaVersions.find(([version]) =>
+    semver.gte(minVersion, version)
+  ) || [undefined, 5];
+  return {
+    // When the project has an `engines` field, the n rules read it themselves,
+    // which means the closest package.json is used for each file (useful in monorepos)
+    version: hasValidRange ? undefined : range,
+    ecmaVersion,
+  };
+};
+
+/**
+ * Passes the version range into the `n/no-unsupported-features/*` rules
+ *
+ * @param {{[key: string]: import('eslint').Linter.RuleEntry}} rules
+ * @param {string | undefined} version
+ */
+const withVersion = (rules, version) =>
+  Object.fromEntries(
+    Object.entries(rules).map(([key, val]) => {
+      if (
+        version === undefined ||
+        !key.startsWith('@cloudfour/n/no-unsupported-features/')
+      )
+        return [key, val];
+      const [severity, options] = [val].flat();
+      if (severity === 'off' || severity === 0) return [key, val];
+      return [key, [severity, { ...options, version }]];
+    })
+  );
+
+/**
+ * Applies the Node target of the project being linted to an eslintrc config
+ *
+ * @param {import('eslint').Linter.Config} config
+ * @param {string} [cwd]
+ */
+const withNodeTarget = (config, cwd) => {
+  const { version, ecmaVersion } = getNodeTarget(cwd);
+  return {
+    ...config,
+    parserOptions: { ...config.parserOptions, ecmaVersion },
+    rules: withVersion(config.rules, version),
+  };
+};
+
+/**
+ * Applies the Node target of the project being linted to a flat config
+ *
+ * @param {{[key: string]: any}[]} configs
+ * @param {string} [cwd]
+ */
+const withFlatNodeTarget = ([base, ...overrides], cwd) => {
+  const { version, ecmaVersion } = getNodeTarget(cwd);
+  return [
+    {
+      ...base,
+      languageOptions: { ...base.languageOptions, ecmaVersion },
+      rules: withVersion(base.rules, version),
+    },
+    ...overrides,
+  ];
+};
+
+module.exports = { getNodeTarget, withNodeTarget, withFlatNodeTarget };
@@ -0,0 +1,25 @@
+const assert = require('node:assert');
+const { join } = require('node:path');
+
+const { Linter } = require('eslint');
+
+const { configs } = require('../flat');
+
+const linter = new Linter({ configType: 'flat' });
+
+// ES modules are linted with the node preset without reporting their import and export declarations
+const messages = linter.verify(
+  "import { readFile } from 'node:fs/promises';\n\nexport const read = readFile;\n",
+  configs.node,
+  join(__dirname, 'example.mjs')
+);
+assert.deepStrictEqual(
+  messages
+    .filter(
+      (message) =>
+        message.fatal ||
+        message.ruleId === '@cloudfour/n/no-unsupported-features/es-syntax'
+    )
+    .map((message) => message.message),
+  []
+);
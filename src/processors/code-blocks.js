@@ -0,0 +1,77 @@
+/** @typedef {import('./virtual-file').VirtualLine} VirtualLine */
+
+/**
+ * The languages of fenced code blocks that get linted,
+ * and the extension of the virtual file, which decides which overrides apply
+ *
+ * @type {{[lang: string]: string}}
+ */
+const extensions = {
+  js: 'js',
+  javascript: 'js',
+  jsx: 'jsx',
+  ts: 'ts',
+  typescript: 'ts',
+  tsx: 'tsx',
+};
+
+/**
+ * @typedef {object} CodeBlock
+ * @property {string} lang the first word of the info string, lowercased
+ * @property {string} meta the rest of the info string
+ * @property {number} start the index of the line with the opening fence
+ * @property {number} end the index of the line with the closing fence (or the last line)
+ * @property {VirtualLine[]} lines the code inside of the fences
+ */
+
+/**
+ * Finds the fenced code blocks in a Markdown or MDX file
+ * The indentation of the opening fence is removed from each line of the code,
+ * so that indented code blocks (for example, in lists) are linted the same way
+ *
+ * @param {string[]} lines the lines of the file
+ * @returns {CodeBlock[]}
+ */
+const findCodeBlocks = (lines) => {
+  /** @type {CodeBlock[]} */
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const open = /^( *)(`{3,}|~{3,})\s*([^\s`]*)\s*(.*)$/.exec(lines[i]);
+    if (!open) {
+      i++;
+      continue;
+    }
+
+    const [, indent, fence, lang, meta] = open;
+    const start = i;
+    /** @type {VirtualLine[]} */
+    const code = [];
+    i++;
+    while (i < lines.length) {
+      const close = /^ *(`{3,}|~{3,})\s*$/.exec(lines[i]);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length)
+        break;
+      // Only the whitespace that the fence is indented with gets removed
+      const column = Math.min(
+        indent.length,
+        lines[i].length - lines[i].replace(/^ +/, '').length
+      );
+      code.push({ text: lines[i].slice(column), line: i + 1, column });
+      i++;
+    }
+
+    blocks.push({
+      lang: lang.toLowerCase(),
+      meta,
+      start,
+      end: Math.min(i, lines.length - 1),
+      lines: code,
+    });
+    i++;
+  }
+
+  return blocks;
+};
+
+module.exports = { extensions, findCodeBlocks };
@@ -0,0 +1,93 @@
+const { createProcessor } = require('./virtual-file');
+
+/** @typedef {import('./virtual-file').VirtualLine} VirtualLine */
+
+/** The `type` attributes of scripts that contain JS (an empty type is a classic script) */
+const classicTypes = new Set(['', 'text/javascript', 'application/javascript']);
+
+/**
+ * Template syntax from Twig (and similar languages like Nunjucks)
+ * Expressions (`{{ }}`) are replaced with an identifier, since they usually stand for a value,
+ * and tags (`{% %}`) and comments (`{# #}`) are replaced with whitespace
+ */
+const templateSyntax = /{{[^]*?}}|{%[^]*?%}|{#[^]*?#}/g;
+
+/**
+ * Replaces template syntax with JS that parses, without changing the length of any line,
+ * so that the locations of lint messages stay the same
+ *
+ * @param {string} code
+ * @returns {{code: string, placeholders: Set<string>}} the masked code,
+ * and the identifiers that were used in place of expressions
+ */
+const maskTemplateSyntax = (code) => {
+  const placeholders = new Set();
+  const masked = code.replace(templateSyntax, (match) =>
+    match
+      .split('\n')
+      .map((part, i) => {
+        if (i > 0 || !match.startsWith('{{')) return ' '.repeat(part.length);
+        const placeholder = '_'.repeat(part.length);
+        placeholders.add(placeholder);
+        return placeholder;
+      })
+      .join('\n')
+  );
+  return { code: masked, placeholders };
+};
+
+/**
+ * Finds the inline scripts in an HTML or Twig file
+ * External scripts (with a `src`) and scripts that aren't JS (like JSON or templates) are skipped
+ *
+ * @param {string} text
+ * @returns {{filename: string, lines: VirtualLine[]}[]}
+ */
+const extract = (text) => {
+  const lineStarts = [0];
+  for (const match of text.matchAll(/\n/g))
+    lineStarts.push(/** @type {number} */ (match.index) + 1);
+
+  /** @param {number} offset */
+  const lineAt = (offset) => {
+    let index = lineStarts.length - 1;
+    while (lineStarts[index] > offset) index--;
+    return index;
+  };
+
+  const scripts = [];
+  for (const match of text.matchAll(
+    /<script\b([^>]*)>([^]*?)<\/script\s*>/gi
+  )) {
+    const [, attributes, content] = match;
+    if (/\ssrc\s*=/i.test(attributes) || content.trim() === '') continue;
+    const type = (/\stype\s*=\s*["']?([^\s"'>]*)/i.exec(attributes) || [])[1];
+    const normalizedType = (type || '').toLowerCase();
+    const isModule = normalizedType === 'module';
+    if (!isModule && !classicTypes.has(normalizedType)) continue;
+
+    const start =
+      /** @type {number} */ (match.index) + `<script${attributes}>`.length;
+    const firstLine = lineAt(start);
+    const { code, placeholders } = maskTemplateSyntax(content);
+    /** @type {VirtualLine[]} */
+    const lines = code.split('\n').map((line, i) => ({
+      // Templates with Windows line endings would have a \r at the end of each line
+      text: line.replace(/\r$/, ''),
+      line: firstLine + i + 1,
+      column: i === 0 ? start - lineStarts[firstLine] : 0,
+    }));
+    scripts.push({
+      filename: `${scripts.length}.${isModule ? 'mjs' : 'js'}`,
+      lines:
+        placeholders.size > 0
+          ? // Declares the placeholders, so that they aren't reported as undefined
+            [{ text: `/* global ${[...placeholders].join(', ')} */` }, ...lines]
+          : lines,
+    });
+  }
+
+  return scripts;
+};
+
+module.exports = createProcessor(extract);
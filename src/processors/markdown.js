@@ -0,0 +1,40 @@
+const { extensions, findCodeBlocks } = require('./code-blocks');
+const { createProcessor } = require('./virtual-file');
+
+/** @typedef {import('./virtual-file').VirtualLine} VirtualLine */
+
+/** Words in the info string of a fence that mark the code as an intentionally bad example */
+const badExampleWords = new Set(['bad', 'incorrect', 'invalid']);
+
+/**
+ * Checks whether a code block is preceded by an `<!-- eslint-skip -->` comment
+ * (blank lines are allowed in between)
+ *
+ * @param {string[]} lines the lines of the file
+ * @param {number} start the index of the line with the opening fence
+ */
+const hasSkipComment = (lines, start) => {
+  let i = start - 1;
+  while (i >= 0 && lines[i].trim() === '') i--;
+  return i >= 0 && /^\s*<!--\s*eslint-skip\s*-->\s*$/.test(lines[i]);
+};
+
+/**
+ * Finds the fenced code blocks in a Markdown file that should be linted
+ * Each block is linted as a separate file, since they are usually separate examples
+ *
+ * @param {string} text
+ * @returns {{filename: string, lines: VirtualLine[]}[]}
+ */
+const extract = (text) => {
+  const lines = text.split(/\r?\n/);
+  return findCodeBlocks(lines).flatMap((block, i) => {
+    if (!extensions[block.lang]) return [];
+    if (hasSkipComment(lines, block.start)) return [];
+    if (block.meta.split(/\s+/).some((word) => badExampleWords.has(word)))
+      return [];
+    return [{ filename: `${i}.${extensions[block.lang]}`, lines: block.lines }];
+  });
+};
+
+module.exports = createProcessor(extract);
@@ -0,0 +1,120 @@
+const { extensions, findCodeBlocks } = require('./code-blocks');
+const { createProcessor } = require('./virtual-file');
+
+/** @typedef {import('./virtual-file').VirtualLine} VirtualLine */
+
+/** The name of the virtual file with the imports and exports of an MDX file */
+const moduleFilename = 'module.js';
+
+/** Words that can't be referenced as variables */
+const reservedWords = new Set(
+  `await break case catch class const continue debugger default delete do else enum
+  export extends false finally for function if implements import in instanceof interface
+  let new null package private protected public return static super switch this throw
+  true try typeof var void while with yield arguments eval undefined`.split(
+    /\s+/
+  )
+);
+
+/**
+ * Finds the variables that the JSX in an MDX file references,
+ * like `Meta` in `<Meta title="Button" />` or `args` in `<Story args={args} />`
+ * This is a rough search, but it only needs to find the imports and exports that are used,
+ * so that they aren't reported as unused
+ *
+ * @param {string} text the MDX file, without its imports, exports, and code blocks
+ */
+const findJsxReferences = (text) => {
+  // Curly braces in inline code are just text
+  const withoutCode = text.replace(/`[^\n`]*`/g, '');
+  const names = new Set();
+  for (const [, name] of withoutCode.matchAll(/<([A-Z][\w$]*)/g))
+    names.add(name);
+  for (const [expression] of withoutCode.matchAll(/{[^]*?}/g)) {
+    const withoutStrings = expression.replace(
+      /(["'`])(?:\\.|(?!\1)[^\\])*\1/g,
+      ''
+    );
+    // Skips property names (`.foo` and `foo:`)
+    for (const [, name] of withoutStrings.matchAll(
+      /(?<![\w$.])([$A-Z_a-z][\w$]*)(?![\w$]|\s*:)/g
+    ))
+      names.add(name);
+  }
+
+  return [...names].filter((name) => !reservedWords.has(name));
+};
+
+/**
+ * Splits an MDX file into its imports and exports (as one module, since they share a scope)
+ * and its fenced code blocks
+ *
+ * @param {string} text
+ * @returns {{filename: string, lines: VirtualLine[]}[]}
+ */
+const extract = (text) => {
+  const lines = text.split(/\r?\n/);
+  const codeBlocks = findCodeBlocks(lines);
+  const inCodeBlock = new Set(
+    codeBlocks.flatMap(({ start, end }) =>
+      Array.from({ length: end - start + 1 }, (_, i) => start + i)
+    )
+  );
+
+  /** @type {VirtualLine[]} */
+  const moduleLines = [];
+  /** @type {VirtualLine[]} the lines since the end of the last import or export */
+  let gap = [];
+  const rest = [];
+  let inModule = false;
+  for (const [i, line] of lines.entries()) {
+    if (inCodeBlock.has(i)) {
+      inModule = false;
+      gap.push({ text: '' });
+      continue;
+    }
+
+    // In MDX, imports and exports start at the beginning of a line and end at a blank line
+    if (!inModule && /^(import|export)\b/.test(line)) {
+      inModule = true;
+      // Keeps the blank lines between imports, so that import/order can see (and fix) them
+      // Anything else in between is replaced with one blank line
+      if (moduleLines.length > 0)
+        moduleLines.push(
+          ...(gap.every((l) => l.line !== undefined) ? gap : [{ text: '' }])
+        );
+      gap = [];
+    } else if (inModule && line.trim() === '') inModule = false;
+
+    if (inModule) moduleLines.push({ text: line, line: i + 1, column: 0 });
+    else {
+      rest.push(line);
+      gap.push(line.trim() === '' ? { text: '', line: i + 1 } : { text: '' });
+    }
+  }
+
+  const blocks = codeBlocks.flatMap((block, i) =>
+    extensions[block.lang]
+      ? [{ filename: `${i}.${extensions[block.lang]}`, lines: block.lines }]
+      : []
+  );
+  if (moduleLines.length === 0) return blocks;
+
+  const references = findJsxReferences(rest.join('\n'));
+  return [
+    {
+      filename: moduleFilename,
+      lines: [
+        ...moduleLines,
+        // Added so that the imports and exports that are used in JSX count as used
+        // Messages about this line are dropped, since it isn't in the original file
+        ...(references.length > 0
+          ? [{ text: `void [${references.join(', ')}];` }]
+          : []),
+      ],
+    },
+    ...blocks,
+  ];
+};
+
+module.exports = createProcessor(extract);
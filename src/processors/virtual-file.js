@@ -0,0 +1,144 @@
+/**
+ * A line of a virtual file
+ * Lines that are copied from the original file know where they came from,
+ * lines that were added by the processor (`line` is undefined) don't map back to anything
+ *
+ * @typedef {object} VirtualLine
+ * @property {string} text
+ * @property {number} [line] 1-based line in the original file
+ * @property {number} [column] 0-based column in the original file where `text` starts
+ */
+
+/** @typedef {import('eslint').Linter.LintMessage} LintMessage */
+/** @typedef {{range: [number, number], text: string}} Fix */
+
+/**
+ * Gets the offset where each line of a file starts
+ *
+ * @param {string} text
+ */
+const getLineOffsets = (text) => {
+  const offsets = [0];
+  for (const match of text.matchAll(/\r?\n/g))
+    offsets.push(/** @type {number} */ (match.index) + match[0].length);
+  return offsets;
+};
+
+/**
+ * Builds a virtual file out of lines from the original file,
+ * and maps the locations of lint messages in it back to the original file
+ *
+ * @param {string} original the text of the original file
+ * @param {VirtualLine[]} lines
+ */
+const createVirtualFile = (original, lines) => {
+  const text = `${lines.map((l) => l.text).join('\n')}\n`;
+  const originalOffsets = getLineOffsets(original);
+  const virtualOffsets = getLineOffsets(text);
+
+  /**
+   * @param {number} offset in the virtual file
+   * @returns {number | undefined} offset in the original file
+   */
+  const mapOffset = (offset) => {
+    let index = virtualOffsets.length - 1;
+    while (virtualOffsets[index] > offset) index--;
+    const virtualLine = lines[index];
+    if (!virtualLine || virtualLine.line === undefined) return;
+    return (
+      originalOffsets[virtualLine.line - 1] +
+      (virtualLine.column || 0) +
+      offset -
+      virtualOffsets[index]
+    );
+  };
+
+  /**
+   * Fixes can only be mapped if the text they replace is the same in both files
+   *
+   * @param {Fix | undefined} fix
+   * @returns {Fix | undefined}
+   */
+  const mapFix = (fix) => {
+    if (!fix) return;
+    const [start, end] = fix.range.map(mapOffset);
+    if (start === undefined || end === undefined) return;
+    if (original.slice(start, end) !== text.slice(...fix.range)) return;
+    return { range: [start, end], text: fix.text };
+  };
+
+  /**
+   * Maps a message back to the original file
+   * Messages about lines that were added by the processor are dropped
+   *
+   * @param {LintMessage} message
+   * @returns {LintMessage | undefined}
+   */
+  const mapMessage = (message) => {
+    const start = lines[message.line - 1];
+    if (!start || start.line === undefined) return;
+    const end =
+      message.endLine === undefined ? start : lines[message.endLine - 1];
+    const mapped = {
+      ...message,
+      line: start.line,
+      column: message.column + (start.column || 0),
+    };
+    if (end && end.line !== undefined && message.endColumn !== undefined) {
+      mapped.endLine = end.line;
+      mapped.endColumn = message.endColumn + (end.column || 0);
+    } else {
+      delete mapped.endLine;
+      delete mapped.endColumn;
+    }
+
+    const fix = mapFix(message.fix);
+    if (fix) mapped.fix = fix;
+    else delete mapped.fix;
+    if (message.suggestions) {
+      mapped.suggestions = message.suggestions.flatMap((suggestion) => {
+        const suggestionFix = mapFix(suggestion.fix);
+        return suggestionFix ? [{ ...suggestion, fix: suggestionFix }] : [];
+      });
+    }
+
+    return mapped;
+  };
+
+  return { text, mapMessage };
+};
+
+/**
+ * Creates a processor that lints parts of a file as separate virtual files
+ *
+ * @param {(text: string) => {filename: string, lines: VirtualLine[]}[]} extract
+ * finds the parts of the file that should be linted
+ * @returns {import('eslint').Linter.Processor}
+ */
+const createProcessor = (extract) => {
+  /** @type {Map<string, ReturnType<typeof createVirtualFile>[]>} */
+  const files = new Map();
+  return {
+    preprocess(text, filename) {
+      const blocks = extract(text).map((block) => ({
+        filename: block.filename,
+        ...createVirtualFile(text, block.lines),
+      }));
+      files.set(filename, blocks);
+      return blocks.map(({ text, filename }) => ({ text, filename }));
+    },
+    postprocess(messageLists, filename) {
+      const blocks = files.get(filename) || [];
+      files.delete(filename);
+      return messageLists.flatMap((messages, i) =>
+        messages.flatMap((message) => {
+          const mapped = blocks[i].mapMessage(message);
+          return mapped ? [mapped] : [];
+        })
+      );
+    },
+    supportsAutofix: true,
+  };
+};
+
+module.exports = { createVirtualFile, createProcessor };
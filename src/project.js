@@ -0,0 +1,75 @@
+const { existsSync, readFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+
+/**
+ * Finds the closest file with the given name, starting at `cwd` and walking up
+ *
+ * @param {string} fileName
+ * @param {string} [cwd]
+ * @returns {string | undefined} the absolute path of the file, if one was found
+ */
+const findUp = (fileName, cwd = process.cwd()) => {
+  let dir = cwd;
+  while (true) {
+    const filePath = join(dir, fileName);
+    if (existsSync(filePath)) return filePath;
+    const parent = dirname(dir);
+    if (parent === dir) return;
+    dir = parent;
+  }
+};
+
+/**
+ * Finds the root folder of the project that is being linted, where searches for config files stop,
+ * so that config files outside of the project (like a stray tsconfig.json in the home folder) aren't used
+ * It is the root of the git repo, or if there isn't one, the folder of the closest package.json
+ *
+ * @param {string} [cwd]
+ * @returns {string}
+ */
+const findProjectRoot = (cwd = process.cwd()) => {
+  const gitPath = findUp('.git', cwd);
+  if (gitPath) return dirname(gitPath);
+  const packageJsonPath = findUp('package.json', cwd);
+  return packageJsonPath ? dirname(packageJsonPath) : cwd;
+};
+
+/**
+ * Reads the package.json of the project that is being linted
+ * Returns an empty object if there is no package.json or it can't be parsed,
+ * so that the presets still work outside of npm projects
+ *
+ * @param {string} [cwd]
+ * @returns {{[key: string]: any}}
+ */
+const readPackageJson = (cwd) => {
+  const filePath = findUp('package.json', cwd);
+  if (!filePath) return {};
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Wraps each preset in a getter, so that the parts of the presets that depend on
+ * the project being linted are filled in when ESLint loads them
+ *
+ * @template T
+ * @param {{[name: string]: T}} presets
+ * @param {(preset: T, name: string) => T} finalize
+ * @returns {{[name: string]: T}}
+ */
+const finalizePresets = (presets, finalize) =>
+  Object.defineProperties(
+    {},
+    Object.fromEntries(
+      Object.keys(presets).map((name) => [
+        name,
+        { enumerable: true, get: () => finalize(presets[name], name) },
+      ])
+    )
+  );
+
+module.exports = { findUp, findProjectRoot, readPackageJson, finalizePresets };
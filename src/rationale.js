@@ -0,0 +1,624 @@
+/**
+ * Why the house rules in src/config.js differ from the configs that they are built from
+ * Each scope is one of the rule objects in src/config.js. The reasons are snapshotted with the configs
+ * (see `rationale` in src/config.js), and can be queried with explainRule (see src/explain-rule.js)
+ *
+ * The rule names are written like in src/config.js, and get the `@cloudfour/` prefix the same way
+ * The reason under `'*'` is used for the rest of the rules in the scope,
+ * for overrides that change a group of rules at once (like turning off the JS rules for JSON files)
+ *
+ * @typedef {object} Rationale
+ * @property {string} reason
+ * @property {string} [link] The pull request or discussion where it was decided
+ * @property {string} [since] The version of this package that introduced it
+ */
+
+const repo = 'https://github.com/cloudfour/eslint-config';
+
+/** @type {{[scope: string]: {[rule: string]: Rationale}}} */
+module.exports = {
+  recommended: {
+    'no-unused-expressions': {
+      reason:
+        'Short-circuits, ternaries, and tagged templates that are used as statements should be if statements or function calls',
+      link: `${repo}/issues/18`,
+      since: '3.0.0',
+    },
+    '@cloudfour/prefer-early-return': {
+      reason:
+        'Returning early keeps the main path of a function from being nested inside of a condition',
+      link: `${repo}/pull/171`,
+      since: '15.0.0',
+    },
+    'capitalized-comments': {
+      reason:
+        'It is replaced by `@cloudfour/capitalized-comments`, which skips pragmas and commented-out code',
+      since: '22.0.0',
+    },
+    'prefer-const': {
+      reason:
+        'If a destructuring assignment has some properties that should be const but others that should not be, it can use let',
+    },
+    'padding-line-between-statements': {
+      reason:
+        'Since devs can use blank lines to create logical groupings in code, it is best not to have ESLint enforce adding newlines',
+      link: `${repo}/pull/280`,
+      since: '17.0.0',
+    },
+    'no-param-reassign': {
+      reason:
+        "We don't use `arguments`, and assigning to parameters can be useful",
+    },
+    'no-promise-executor-return': {
+      reason: 'Implicit returns in promise executors are allowed',
+    },
+    '@cloudfour/capitalized-comments': {
+      reason:
+        "Commented-out code and comments for tools (like `webpackChunkName:` or `c8`) don't need to be capitalized. The built-in rule only supports a list of words, so it is replaced by a rule that recognizes commented-out code, with a list of pragmas that projects can extend with `settings['@cloudfour'].commentPragmas`",
+      since: '22.0.0',
+    },
+    'n/no-unsupported-features/es-syntax': {
+      reason: 'It does not account for transpilation',
+    },
+    'n/no-unpublished-require': {
+      reason: 'It does not account for build scripts',
+    },
+    'n/shebang': {
+      reason: 'It has tons of false positives',
+    },
+    'n/file-extension-in-import': {
+      reason:
+        "Node doesn't guess file extensions when it resolves ES module imports, so extension-less relative imports (like `./foo` instead of `./foo.js`) aren't allowed",
+      link: `${repo}/pull/380`,
+      since: '20.0.0',
+    },
+    'import/order': {
+      reason:
+        'Imports are sorted into groups, with blank lines between the groups and the imports in each group sorted alphabetically',
+      link: `${repo}/pull/381`,
+      since: '20.0.0',
+    },
+    'sort-imports': {
+      reason:
+        'The members within an import statement are sorted alphabetically, and `import/order` sorts the import statements',
+      link: `${repo}/pull/381`,
+      since: '20.0.0',
+    },
+    'unicorn/import-style': {
+      reason:
+        "It doesn't seem useful to force people to use named, default, or namespace imports",
+      link: `${repo}/pull/164`,
+      since: '15.0.0',
+    },
+    'unicorn/prevent-abbreviations': {
+      reason: "It causes more issues than it's worth",
+    },
+    'unicorn/no-null': {
+      reason:
+        'Null is ok. It is ok to avoid using null and use undefined instead, but enforcing it in all code with a lint rule is too annoying. It is turned on in the strict preset',
+    },
+    'unicorn/no-array-callback-reference': {
+      reason:
+        'It avoids breaking changes when a callback gets the index as an unexpected parameter, but that edge case can be avoided with careful review and sometimes with TS. It is turned on in the strict preset',
+    },
+    'unicorn/prefer-json-parse-buffer': {
+      reason:
+        "It was removed from eslint-plugin-unicorn's recommended preset, but that hasn't been published yet",
+      link: 'https://github.com/sindresorhus/eslint-plugin-unicorn/pull/1750',
+      since: '18.0.0',
+    },
+    'unicorn/prefer-set-has': {
+      reason:
+        'Converting an array to a set has a cost, just like .includes() has a cost, so the decision between arrays and sets is left to human reviewers. It is turned on in the strict preset',
+    },
+    'unicorn/no-array-reduce': {
+      reason:
+        "Reduce is often useful, we don't need a lint rule to tell us not to use it. It is turned on in the strict preset",
+    },
+    'unicorn/prefer-module': {
+      reason:
+        'A lot of projects still use CommonJS by default for non-browser code. It is turned on for files that are known to be ES modules (.mjs files, or .js files when package.json has "type": "module")',
+    },
+    'unicorn/prefer-switch': {
+      reason:
+        'Switch statements are often longer than if/else chains, and they are still read aloud as "if ... is ... then". It is turned on in the strict preset',
+    },
+    'unicorn/prefer-number-properties': {
+      reason:
+        "There isn't a good reason to force using Number.POSITIVE_INFINITY instead of Infinity",
+    },
+    'unicorn/consistent-destructuring': {
+      reason:
+        'It suggests incorrect code when the destructured object is modified. That is a fairly common case, and it is too annoying to disable the rule on each line',
+    },
+    ...Object.fromEntries(
+      [
+        'jsdoc/newline-after-description',
+        'jsdoc/no-undefined-types',
+        'jsdoc/valid-types',
+        'jsdoc/require-returns',
+        'jsdoc/require-param-description',
+        'jsdoc/require-property-description',
+        'jsdoc/require-returns-description',
+        'jsdoc/require-jsdoc',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            'The JSDoc rules that check the types themselves are turned off. Projects that want type checking should use TypeScript instead',
+        },
+      ])
+    ),
+  },
+
+  typescript: {
+    'n/no-missing-import': { reason: 'TS checks this' },
+    'n/no-missing-require': { reason: 'TS checks this' },
+    'no-import-assign': { reason: 'TS checks this' },
+    'jsdoc/require-param': {
+      reason:
+        'With TS, the only reason to have a @param tag is to describe a parameter, which not every parameter needs',
+    },
+    'jsdoc/require-param-type': {
+      reason: 'Types should be in type annotations instead',
+    },
+    'jsdoc/require-param-description': {
+      reason:
+        'The only reason to have a @param tag in TS is to add a description',
+    },
+    'jsdoc/require-returns-type': {
+      reason: 'Return types should be in type annotations instead',
+    },
+    'jsdoc/require-returns-description': {
+      reason:
+        'The only reason to have a @returns tag in TS is to add a description',
+    },
+    '@typescript-eslint/consistent-type-imports': {
+      reason:
+        "`import type` makes the TS to JS transformation easier, because it doesn't require checking which imports are only used as types. `import('...')` types are allowed because they are the only kind of import that is allowed in global type augmentations",
+      link: `${repo}/pull/155`,
+      since: '14.0.0',
+    },
+    '@typescript-eslint/no-confusing-void-expression': {
+      reason:
+        "Don't try to use the result of an expression whose type is `void`",
+    },
+    '@typescript-eslint/no-meaningless-void-operator': {
+      reason:
+        "Don't use the void operator on an expression whose type is already `void`",
+    },
+    '@typescript-eslint/array-type': {
+      reason: 'For consistency, use `foo[]` instead of `Array<foo>`',
+    },
+    '@typescript-eslint/explicit-module-boundary-types': {
+      reason:
+        'Type inference is useful even for public functions. It is turned on in the strict preset',
+    },
+    '@typescript-eslint/no-explicit-any': {
+      reason:
+        'Any is an escape hatch, it should be allowed. It is turned on in the strict preset',
+    },
+    '@typescript-eslint/no-floating-promises': {
+      reason:
+        "Humans can decide when it makes sense to handle errors and when it doesn't, so not every promise rejection needs to be caught. It is turned on in the strict preset",
+    },
+    '@typescript-eslint/no-non-null-assertion': {
+      reason: 'It warns by default',
+    },
+    ...Object.fromEntries(
+      [
+        '@typescript-eslint/no-unsafe-assignment',
+        '@typescript-eslint/no-unsafe-call',
+        '@typescript-eslint/no-unsafe-member-access',
+        '@typescript-eslint/no-unsafe-return',
+        '@typescript-eslint/no-unsafe-argument',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            'Any is an escape hatch, let it be an escape hatch. It is turned on in the strict preset',
+        },
+      ])
+    ),
+    '@typescript-eslint/restrict-template-expressions': {
+      reason:
+        'Values typed as any can be used in template expressions. It is turned on in the strict preset',
+    },
+    '@typescript-eslint/no-unnecessary-condition': {
+      reason: "It catches a lot of dead code that TS itself doesn't flag",
+      link: `${repo}/pull/155`,
+      since: '14.0.0',
+    },
+    '@typescript-eslint/prefer-optional-chain': {
+      reason: 'Optional chaining is more readable',
+    },
+    'no-unused-vars': {
+      reason: 'TS checks this with noUnusedLocals and noUnusedParameters',
+    },
+    '@typescript-eslint/no-unused-vars': {
+      reason: 'TS checks this with noUnusedLocals and noUnusedParameters',
+    },
+    '@typescript-eslint/no-empty-function': {
+      reason: 'The non-TS version of the rule is not used either',
+    },
+    '@typescript-eslint/unbound-method': {
+      reason:
+        "It is common for this to be handled in ways that TS and ESLint can't see. It is turned on in the strict preset",
+    },
+    '@typescript-eslint/no-unused-expressions': {
+      reason:
+        'It is like the built-in `no-unused-expressions` rule, but it supports optional chaining',
+    },
+    '@typescript-eslint/no-use-before-define': {
+      reason:
+        'It replaces the built-in `no-use-before-define` rule, with a version that works well with TS',
+    },
+  },
+
+  tests: {
+    '@cloudfour/prefer-early-return': {
+      reason:
+        "Test callbacks don't return anything, so an early return reads like a skipped assertion",
+    },
+    'unicorn/no-useless-undefined': {
+      reason:
+        'Asserting that something is `undefined` is common: expect(foo).toBe(undefined)',
+    },
+    'unicorn/consistent-function-scoping': {
+      reason: 'Helpers are often defined inside the suite that uses them',
+    },
+    'max-nested-callbacks': {
+      reason: 'Nested suites and hooks are callbacks',
+    },
+    'no-unused-expressions': {
+      reason:
+        'Assertion libraries like chai use property access for assertions: expect(foo).to.be.true',
+    },
+    '@typescript-eslint/no-unused-expressions': {
+      reason:
+        'Assertion libraries like chai use property access for assertions: expect(foo).to.be.true',
+    },
+    '@typescript-eslint/no-non-null-assertion': {
+      reason: 'A test will fail anyway if the value is missing',
+    },
+    'n/no-unpublished-import': {
+      reason: "Tests don't get published, so they can import devDependencies",
+    },
+    'n/no-unpublished-require': {
+      reason: "Tests don't get published, so they can import devDependencies",
+    },
+  },
+
+  declarations: {
+    'no-var': {
+      reason: 'Globals can only be declared with var in `declare global`',
+    },
+    '@typescript-eslint/no-empty-interface': {
+      reason: 'Empty interfaces are used to merge with existing types',
+    },
+    '@typescript-eslint/triple-slash-reference': {
+      reason: 'Declaration files are where these belong',
+    },
+    camelcase: {
+      reason:
+        'The names and signatures come from the code that is being described',
+    },
+    'max-params': {
+      reason:
+        'The names and signatures come from the code that is being described',
+    },
+    'unicorn/prevent-abbreviations': {
+      reason:
+        'The names and signatures come from the code that is being described',
+    },
+  },
+
+  browser: {
+    ...Object.fromEntries(
+      [
+        'n/no-deprecated-api',
+        'n/no-exports-assign',
+        'n/no-new-require',
+        'n/no-path-concat',
+        'n/no-process-exit',
+        'n/process-exit-as-throw',
+        'n/handle-callback-err',
+        'n/no-callback-literal',
+        'n/no-unsupported-features/node-builtins',
+        'n/no-unpublished-bin',
+        'unicorn/no-process-exit',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            "These rules only make sense for Node APIs and Node's module resolution",
+        },
+      ])
+    ),
+    'n/no-unsupported-features/es-builtins': {
+      reason: 'It checks against the Node version, not browser versions',
+    },
+    'n/no-unpublished-import': {
+      reason:
+        'Browser code is usually bundled, so it is common for its dependencies to be devDependencies',
+    },
+    'unicorn/prefer-node-protocol': {
+      reason: 'There are no Node built-in modules to import',
+    },
+    'import/no-nodejs-modules': {
+      reason: 'Node built-in modules are not available in the browser',
+    },
+    'no-restricted-globals': {
+      reason:
+        'Globals like `name`, `status`, or `event` are easy to use by accident instead of a local variable',
+    },
+    ...Object.fromEntries(
+      [
+        'unicorn/prefer-add-event-listener',
+        'unicorn/no-invalid-remove-event-listener',
+        'unicorn/prefer-dom-node-append',
+        'unicorn/prefer-dom-node-dataset',
+        'unicorn/prefer-dom-node-remove',
+        'unicorn/prefer-dom-node-text-content',
+        'unicorn/prefer-keyboard-event-key',
+        'unicorn/prefer-modern-dom-apis',
+        'unicorn/prefer-query-selector',
+      ].map((rule) => [
+        rule,
+        { reason: 'The DOM rules are only useful for code that has a DOM' },
+      ])
+    ),
+  },
+
+  tooling: {
+    '*': {
+      reason:
+        'Config files and build scripts run in Node, even in browser projects, so the browser rules are undone',
+    },
+    'import/no-nodejs-modules': {
+      reason: 'Config files and build scripts run in Node',
+    },
+    'n/no-unpublished-import': {
+      reason: 'Tools and scripts are usually devDependencies',
+    },
+    'n/no-unpublished-require': {
+      reason: 'Tools and scripts are usually devDependencies',
+    },
+    'n/no-process-exit': {
+      reason: 'Setting the exit code is how scripts report failure',
+    },
+    'unicorn/no-process-exit': {
+      reason: 'Setting the exit code is how scripts report failure',
+    },
+    'unicorn/prefer-top-level-await': {
+      reason:
+        "A lot of scripts are CommonJS, where top-level await doesn't work. It is turned back on for ES modules",
+    },
+  },
+
+  storybook: {
+    '*': {
+      reason:
+        'Stories and the Storybook config get bundled for the browser, so they get the browser rules',
+    },
+    'unicorn/filename-case': {
+      reason:
+        'Stories are named after their component, which is often PascalCase',
+    },
+    'n/no-unpublished-import': {
+      reason: 'Storybook and its addons are devDependencies',
+    },
+    'n/no-unpublished-require': {
+      reason: 'Storybook and its addons are devDependencies',
+    },
+  },
+
+  esm: {
+    'unicorn/prefer-module': {
+      reason:
+        '`require`, `module.exports`, and `__dirname` don\'t exist in ES modules (.mjs files, or .js files when the closest package.json has "type": "module")',
+    },
+    'unicorn/prefer-top-level-await': {
+      reason:
+        'Top-level await works in ES modules, and it is simpler than an async function that is called right away',
+    },
+    'n/file-extension-in-import': {
+      reason:
+        "Node doesn't guess file extensions when it resolves ES module imports",
+    },
+  },
+
+  commonjs: {
+    'unicorn/prefer-module': {
+      reason:
+        'CommonJS modules (.cjs files, or .js files when the closest package.json has "type": "commonjs") use `require` and `module.exports`',
+    },
+    'unicorn/prefer-top-level-await': {
+      reason: 'Top-level await is a syntax error in CommonJS',
+    },
+    'n/exports-style': {
+      reason:
+        'Mixing `exports.foo` with `module.exports` loses the exports that were added before `module.exports` was replaced',
+    },
+    'import/no-import-module-exports': {
+      reason:
+        'Import declarations make a file an ES module, where `module.exports` does not exist',
+    },
+  },
+
+  mdxModules: {
+    'n/no-missing-import': {
+      reason:
+        'Imports get resolved relative to the virtual file, which is "inside" of the MDX file',
+    },
+    'n/file-extension-in-import': {
+      reason:
+        'Imports get resolved relative to the virtual file, which is "inside" of the MDX file',
+    },
+  },
+
+  codeBlocks: {
+    ...Object.fromEntries(
+      [
+        'no-undef',
+        'no-unused-vars',
+        'no-unused-expressions',
+        '@typescript-eslint/no-unused-expressions',
+        'unicorn/no-empty-file',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            "Code blocks in docs are usually examples, which don't have to be complete programs",
+        },
+      ])
+    ),
+    ...Object.fromEntries(
+      [
+        'n/no-missing-import',
+        'n/no-missing-require',
+        'n/no-extraneous-import',
+        'n/no-extraneous-require',
+        'n/no-unpublished-import',
+        'n/no-unpublished-require',
+        'n/file-extension-in-import',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            "Examples import packages and files that don't exist next to the docs",
+        },
+      ])
+    ),
+    'unicorn/filename-case': {
+      reason:
+        'Rules that check the file name see the name of the Markdown or MDX file',
+    },
+  },
+
+  typescriptCodeBlocks: {
+    '*': {
+      reason:
+        "Code blocks aren't a part of any TS project, so they are linted without type information",
+    },
+  },
+
+  inlineScripts: {
+    '*': {
+      reason:
+        'Inline scripts run in the browser as they are, so they get the browser rules',
+    },
+    'unicorn/filename-case': {
+      reason: 'The file name is the name of the template',
+    },
+    'n/no-missing-import': {
+      reason: 'Imports in module scripts are URLs, not paths in the project',
+    },
+    'n/no-extraneous-import': {
+      reason: 'Imports in module scripts are URLs, not paths in the project',
+    },
+  },
+
+  classicInlineScripts: {
+    'unicorn/prefer-module': {
+      reason: "Classic scripts can't use imports or top-level await",
+    },
+    'unicorn/prefer-top-level-await': {
+      reason: "Classic scripts can't use imports or top-level await",
+    },
+  },
+
+  json: {
+    '*': {
+      reason:
+        "JSON files are parsed as one expression, and most rules for JS don't apply to them",
+    },
+    '@cloudfour/jsonc/no-dupe-keys': {
+      reason:
+        'Duplicate keys are allowed by JSON parsers, but only the last one is used',
+    },
+  },
+
+  packageJson: {
+    '@cloudfour/require-package-engines': {
+      reason:
+        'Projects should say which Node versions they support, and the version in .nvmrc should be one of them',
+    },
+    '@cloudfour/sorted-package-dependencies': {
+      reason:
+        'npm sorts dependencies when it installs them, so dependencies that are added by hand would be moved around later',
+    },
+    '@cloudfour/valid-package-entry-points': {
+      reason:
+        "A typo in an entry point isn't noticed until the package is used",
+    },
+    '@cloudfour/valid-package-files': {
+      reason: 'A typo in `files` leaves files out of the published package',
+    },
+  },
+
+  tsconfig: {
+    '@cloudfour/require-tsconfig-strict': {
+      reason:
+        'Strict mode catches many more bugs, and most of the rules for TS assume that it is on',
+    },
+    '@cloudfour/no-contradictory-tsconfig-options': {
+      reason:
+        "Some options override or ignore each other, so the config doesn't do what it says",
+    },
+  },
+
+  node: {
+    'n/no-unsupported-features/es-syntax': {
+      reason:
+        'Code that is not transpiled can only use the syntax of the Node versions in `engines.node`. Import and export declarations are allowed, since the rule reports them in every Node version, and the module type rules check them instead',
+    },
+    ...Object.fromEntries(
+      [
+        'n/no-unsupported-features/es-builtins',
+        'n/no-unsupported-features/node-builtins',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            'Code that is not transpiled can only use the features of the Node versions in `engines.node`',
+        },
+      ])
+    ),
+    ...Object.fromEntries(
+      [
+        'n/no-unpublished-bin',
+        'n/no-unpublished-import',
+        'n/no-unpublished-require',
+      ].map((rule) => [
+        rule,
+        {
+          reason:
+            "Without a build step, the published files are the files that get run, so they must not depend on files or packages that don't get published",
+        },
+      ])
+    ),
+  },
+
+  nodeTypescript: {
+    'n/no-unsupported-features/es-syntax': {
+      reason:
+        "TS files get compiled, so their syntax doesn't have to be supported by Node",
+    },
+  },
+
+  legacy: {
+    '*': {
+      reason:
+        "These rules prefer syntax or APIs that old browsers don't have, and the code runs in those browsers without being transpiled",
+    },
+    'unicorn/prefer-module': {
+      reason:
+        "Untranspiled code runs as classic scripts, which can't use import, export, or top-level await",
+    },
+    'unicorn/prefer-top-level-await': {
+      reason:
+        "Untranspiled code runs as classic scripts, which can't use import, export, or top-level await",
+    },
+  },
+};
@@ -1,11 +1,22 @@
 const typescript = require('@typescript-eslint/eslint-plugin').rules;
 const eslintImport = require('eslint-plugin-import').rules;
 const jsdoc = require('eslint-plugin-jsdoc').rules;
+const jsonc = require('eslint-plugin-jsonc').rules;
 const node = require('eslint-plugin-n').rules;
 const promise = require('eslint-plugin-promise').rules;
 const unicorn = require('eslint-plugin-unicorn').rules;
 
+const capitalizedComments = require('./rules/capitalized-comments');
+const noAsyncDescribe = require('./rules/no-async-describe');
+const noContradictoryTsconfigOptions = require('./rules/no-contradictory-tsconfig-options');
+const noFocusedTests = require('./rules/no-focused-tests');
+const noSkippedTests = require('./rules/no-skipped-tests');
 const preferEarlyReturn = require('./rules/prefer-early-return');
+const requirePackageEngines = require('./rules/require-package-engines');
+const requireTsconfigStrict = require('./rules/require-tsconfig-strict');
+const sortedPackageDependencies = require('./rules/sorted-package-dependencies');
+const validPackageEntryPoints = require('./rules/valid-package-entry-points');
+const validPackageFiles = require('./rules/valid-package-files');
 
 /**
  * Prefixes each rule of the config
@@ -26,8 +37,19 @@ const rules = {
   ...hoist('promise', promise),
   ...hoist('unicorn', unicorn),
   ...hoist('jsdoc', jsdoc),
+  ...hoist('jsonc', jsonc),
   ...hoist('typescript-eslint', typescript),
+  'capitalized-comments': capitalizedComments,
+  'no-async-describe': noAsyncDescribe,
+  'no-contradictory-tsconfig-options': noContradictoryTsconfigOptions,
+  'no-focused-tests': noFocusedTests,
+  'no-skipped-tests': noSkippedTests,
   'prefer-early-return': preferEarlyReturn,
+  'require-package-engines': requirePackageEngines,
+  'require-tsconfig-strict': requireTsconfigStrict,
+  'sorted-package-dependencies': sortedPackageDependencies,
+  'valid-package-entry-points': validPackageEntryPoints,
+  'valid-package-files': validPackageFiles,
 };
 
 module.exports = rules;
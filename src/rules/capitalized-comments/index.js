@@ -0,0 +1,273 @@
+const espree = require('espree');
+
+/**
+ * Words that start comments which are read by tools, not people,
+ * so they keep the casing that the tool expects
+ * Projects can add to this list with `settings['@cloudfour'].commentPragmas`
+ */
+const defaultPragmas = [
+  'eslint',
+  'global',
+  'globals',
+  'exported',
+  'jshint',
+  'jslint',
+  'jscs',
+  'istanbul',
+  'c8',
+  'v8',
+  'tslint',
+  'prettier-ignore',
+  'biome-ignore',
+  'pragma',
+  'ignore',
+  'webpackChunkName',
+  'webpackExclude',
+  'webpackExports',
+  'webpackIgnore',
+  'webpackInclude',
+  'webpackMode',
+  'webpackPrefetch',
+  'webpackPreload',
+];
+
+/**
+ * Words that start commented-out code which is unfinished, so it doesn't parse (like `// const`)
+ * These are the words that the `ignorePattern` of the built-in rule used to list
+ */
+const codeKeywords = [
+  'return',
+  'const',
+  'let',
+  'var',
+  'await',
+  'function',
+  'console',
+];
+
+/** Comments that start with a URL are left alone, like in the built-in rule */
+const urlPattern = /^\s*[^:/?#\s]+:\/\/[^?#]/u;
+
+/**
+ * Gets the text of a comment without the asterisks at the start of each line of a block comment
+ *
+ * @param {import('estree').Comment} comment
+ */
+const getText = (comment) =>
+  comment.type === 'Block'
+    ? comment.value.replace(/^\s*\*/gmu, '')
+    : comment.value;
+
+/**
+ * Checks whether a comment starts with one of the words
+ * A word has to be whole, so the `global` pragma doesn't match "globally",
+ * but it can be followed by punctuation, like `eslint-disable` or `webpackChunkName:`
+ *
+ * @param {string} text
+ * @param {string[]} words
+ */
+const startsWithWord = (text, words) => {
+  const trimmed = text.trimStart();
+  return words.some(
+    (word) =>
+      trimmed.startsWith(word) &&
+      !/^[\p{L}\p{N}_]/u.test(trimmed.slice(word.length))
+  );
+};
+
+/**
+ * Parses text as JS, as a module first and then as a script,
+ * since commented-out code is often a part of a function (like a `return` statement)
+ *
+ * @param {string} text
+ * @returns {import('estree').Program | undefined}
+ */
+const parse = (text) => {
+  for (const sourceType of ['module', 'script']) {
+    try {
+      return espree.parse(text, {
+        ecmaVersion: 'latest',
+        sourceType,
+        ecmaFeatures: { jsx: true, globalReturn: sourceType === 'script' },
+      });
+    } catch {}
+  }
+};
+
+/**
+ * Checks whether text is commented-out code
+ * A single word (like `todo`) or a word followed by a colon (like `note: ...`)
+ * parses as JS too, but those are much more likely to be prose
+ *
+ * @param {string} text
+ */
+const isCode = (text) => {
+  const program = parse(text);
+  if (!program || program.body.length === 0) return false;
+  const [first] = program.body;
+  if (first.type === 'LabeledStatement') return false;
+  return !(
+    program.body.length === 1 &&
+    first.type === 'ExpressionStatement' &&
+    first.expression.type === 'Identifier'
+  );
+};
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        'Enforce that comments start with an uppercase letter, except for pragmas and commented-out code.',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/capitalized-comments/README.md',
+    },
+    fixable: 'code',
+    messages: {
+      lowercase:
+        "Comments should begin with an uppercase letter. If this comment is read by a tool, add its first word to settings['@cloudfour'].commentPragmas.",
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          pragmas: { type: 'array', items: { type: 'string' } },
+          ignoreInlineComments: { type: 'boolean' },
+          ignoreConsecutiveComments: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+
+  create(context) {
+    const {
+      pragmas = [],
+      ignoreInlineComments = false,
+      ignoreConsecutiveComments = false,
+    } = context.options[0] || {};
+    const settings = context.settings['@cloudfour'] || {};
+    const allPragmas = [
+      ...defaultPragmas,
+      ...pragmas,
+      ...(Array.isArray(settings.commentPragmas)
+        ? settings.commentPragmas.filter((word) => typeof word === 'string')
+        : []),
+    ];
+    const sourceCode = context.getSourceCode();
+
+    /**
+     * Checks whether a comment has code before and after it on the same lines,
+     * like `foo(/* bar *\/ baz)`
+     *
+     * @param {import('estree').Comment} comment
+     */
+    const isInline = (comment) => {
+      const before = sourceCode.getTokenBefore(comment, {
+        includeComments: true,
+      });
+      const after = sourceCode.getTokenAfter(comment, {
+        includeComments: true,
+      });
+      return Boolean(
+        before &&
+          after &&
+          before.loc.end.line === comment.loc.start.line &&
+          after.loc.start.line === comment.loc.end.line
+      );
+    };
+
+    /**
+     * Checks whether a comment continues the comment right before it
+     *
+     * @param {import('estree').Comment} comment
+     */
+    const isConsecutive = (comment) => {
+      const before = sourceCode.getTokenBefore(comment, {
+        includeComments: true,
+      });
+      return Boolean(
+        before &&
+          (before.type === 'Line' || before.type === 'Block') &&
+          comment.loc.start.line - before.loc.end.line <= 1
+      );
+    };
+
+    /**
+     * Gets the text of a line comment and the line comments right after it,
+     * so that commented-out code that spans lines (like an if block) can be parsed as a whole
+     *
+     * @param {import('estree').Comment} comment
+     */
+    const getTextWithFollowingLines = (comment) => {
+      const lines = [comment.value];
+      let current = comment;
+      for (;;) {
+        const next = sourceCode.getTokenAfter(current, {
+          includeComments: true,
+        });
+        if (
+          next?.type !== 'Line' ||
+          next.loc.start.line !== current.loc.end.line + 1
+        ) {
+          return lines.join('\n');
+        }
+
+        lines.push(next.value);
+        current = next;
+      }
+    };
+
+    /**
+     * Checks whether a comment is commented-out code,
+     * either on its own or together with the line comments after it
+     *
+     * @param {import('estree').Comment} comment
+     * @param {string} text
+     */
+    const isCommentedOutCode = (comment, text) =>
+      isCode(text) ||
+      (comment.type === 'Line' && isCode(getTextWithFollowingLines(comment)));
+
+    return {
+      Program() {
+        for (const comment of sourceCode.getAllComments()) {
+          // Shebangs are a type of comment in ESLint, but not in ESTree
+          if (comment.type === 'Shebang') continue;
+          const text = getText(comment);
+          const match = /\p{L}/u.exec(text);
+          // Only comments that start with a letter are checked, so `// 1. Step` or `// ---` are fine
+          if (!match || text.slice(0, match.index).trim() !== '') continue;
+          if (match[0] === match[0].toLocaleUpperCase()) continue;
+          if (
+            startsWithWord(text, allPragmas) ||
+            startsWithWord(text, codeKeywords) ||
+            urlPattern.test(text) ||
+            (ignoreInlineComments && isInline(comment)) ||
+            (ignoreConsecutiveComments && isConsecutive(comment)) ||
+            isCommentedOutCode(comment, text)
+          ) {
+            continue;
+          }
+
+          context.report({
+            loc: comment.loc,
+            messageId: 'lowercase',
+            fix(fixer) {
+              // Comment values start after the opening `//` or `/*`,
+              // and the only characters that are removed by getText come before the letter
+              const start =
+                comment.range[0] + 2 + comment.value.indexOf(match[0]);
+              return fixer.replaceTextRange(
+                [start, start + match[0].length],
+                match[0].toLocaleUpperCase()
+              );
+            },
+          });
+        }
+      },
+    };
+  },
+};
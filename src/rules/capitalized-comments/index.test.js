@@ -0,0 +1,145 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+});
+
+ruleTester.run('capitalized-comments', rule, {
+  valid: [
+    // Prose
+    '// Uppercase comment',
+    '/* Uppercase block comment */',
+    `
+/**
+ * Uppercase JSDoc comment
+ */
+`,
+    // Comments that don't start with a letter
+    '// 1. Step',
+    '// ---',
+    '#!/usr/bin/env node\n// Comment after a shebang',
+    // Pragmas
+    '// eslint-disable-next-line no-console',
+    '/* eslint-disable */',
+    '/* global window */',
+    '/* c8 ignore next */',
+    '/* istanbul ignore next */',
+    '// prettier-ignore',
+    "import(/* webpackChunkName: 'chunk' */ './chunk');",
+    {
+      code: '// swagger: true',
+      settings: { '@cloudfour': { commentPragmas: ['swagger'] } },
+    },
+    { code: '// graphql query', options: [{ pragmas: ['graphql'] }] },
+    // URLs
+    '// https://example.com starts with a URL',
+    // Commented-out code
+    '// const unused = getValue();',
+    '// return value;',
+    '// foo(bar);',
+    `
+// if (condition) {
+//   doSomething();
+// }
+`,
+    '/* doSomething(); */',
+    // Unfinished code that starts with a keyword doesn't parse
+    '// const',
+    '// const value =',
+    '// await',
+    '// console',
+    '// function (',
+    // Inline and consecutive comments are skipped with their options
+    {
+      code: 'foo(/* bar */ baz);',
+      options: [{ ignoreInlineComments: true }],
+    },
+    {
+      code: `
+// This sentence goes on
+// on the next line
+`,
+      options: [{ ignoreConsecutiveComments: true }],
+    },
+  ],
+
+  invalid: [
+    {
+      code: '// lowercase comment',
+      output: '// Lowercase comment',
+      errors: [
+        {
+          messageId: 'lowercase',
+          line: 1,
+          column: 1,
+          endLine: 1,
+          endColumn: 21,
+        },
+      ],
+    },
+    {
+      code: '/* lowercase block comment */',
+      output: '/* Lowercase block comment */',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    {
+      code: `
+/**
+ * lowercase JSDoc comment
+ */
+`,
+      output: `
+/**
+ * Lowercase JSDoc comment
+ */
+`,
+      errors: [{ messageId: 'lowercase' }],
+    },
+    {
+      code: '//   éclair',
+      output: '//   Éclair',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    // A single word or a label parses as JS, but it is more likely to be prose
+    {
+      code: '// todo',
+      output: '// Todo',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    {
+      code: '// note: this is a sentence',
+      output: '// Note: this is a sentence',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    // Pragmas and keywords have to be whole words
+    {
+      code: '// globally unique',
+      output: '// Globally unique',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    {
+      code: '// constants are defined below',
+      output: '// Constants are defined below',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    // Inline and consecutive comments are checked by default
+    {
+      code: 'foo(/* bar */ baz);',
+      output: 'foo(/* Bar */ baz);',
+      errors: [{ messageId: 'lowercase' }],
+    },
+    {
+      code: `
+// This sentence goes on
+// on the next line
+`,
+      output: `
+// This sentence goes on
+// On the next line
+`,
+      errors: [{ messageId: 'lowercase', line: 3 }],
+    },
+  ],
+});
@@ -0,0 +1,48 @@
+const { getCalleeNames, suiteNames } = require('../utils/test-calls');
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow async suite callbacks, since test runners register the tests in a suite synchronously.',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/no-async-describe/README.md',
+    },
+    messages: {
+      async:
+        'Unexpected async `{{name}}` callback. Tests that are defined after an `await` will not run. Use a `before`/`beforeAll` hook for async setup instead.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    return {
+      /** @param {import('estree').CallExpression} node */
+      CallExpression(node) {
+        // `describe.each(table)(name, callback)`
+        const callee =
+          node.callee.type === 'CallExpression'
+            ? node.callee.callee
+            : node.callee;
+        const names = getCalleeNames(callee);
+        if (!names || !suiteNames.has(names[0])) return;
+        for (const arg of node.arguments) {
+          if (
+            (arg.type === 'FunctionExpression' ||
+              arg.type === 'ArrowFunctionExpression') &&
+            arg.async
+          ) {
+            context.report({
+              node: arg,
+              messageId: 'async',
+              data: { name: names[0] },
+            });
+          }
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,59 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+});
+
+ruleTester.run('no-async-describe', rule, {
+  valid: [
+    "describe('suite', () => {});",
+    "describe('suite', function () {});",
+    // Tests and hooks can be async
+    "it('test', async () => {});",
+    "test('test', async function () {});",
+    "describe('suite', () => { beforeAll(async () => {}); it('test', async () => {}); });",
+    "describe.each([1, 2])('suite %i', (value) => {});",
+    // Only the callbacks of suites are checked
+    'run(async () => {});',
+    "describe('suite', callback);",
+  ],
+
+  invalid: [
+    {
+      code: "describe('suite', async () => {});",
+      errors: [
+        {
+          messageId: 'async',
+          data: { name: 'describe' },
+          line: 1,
+          column: 19,
+          endLine: 1,
+          endColumn: 33,
+        },
+      ],
+    },
+    {
+      code: "context('suite', async function () {});",
+      errors: [{ messageId: 'async', data: { name: 'context' } }],
+    },
+    {
+      code: "suite('suite', async () => {});",
+      errors: [{ messageId: 'async', data: { name: 'suite' } }],
+    },
+    {
+      code: "describe.only('suite', async () => {});",
+      errors: [{ messageId: 'async', data: { name: 'describe' } }],
+    },
+    {
+      code: "describe.each([1, 2])('suite %i', async (value) => {});",
+      errors: [{ messageId: 'async', data: { name: 'describe' } }],
+    },
+    // Nested suites are checked too
+    {
+      code: "describe('suite', () => { describe('nested', async () => {}); });",
+      errors: [{ messageId: 'async', data: { name: 'describe' }, column: 46 }],
+    },
+  ],
+});
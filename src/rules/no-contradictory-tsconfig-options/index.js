@@ -0,0 +1,147 @@
+const { getKey, getProperty, getRootObject } = require('../utils/json');
+
+/**
+ * An option with a value: `true` matches an option that is turned on (or set to a path),
+ * and `false` matches an option that is explicitly turned off
+ *
+ * @typedef {[name: string, value: boolean]} Setting
+ */
+
+/**
+ * Options that contradict each other when they are set in the same tsconfig
+ *
+ * @type {{settings: [Setting, Setting], reason: string}[]}
+ */
+const conflicts = [
+  ...[
+    'emitDeclarationOnly',
+    'declaration',
+    'outDir',
+    'outFile',
+    'declarationDir',
+  ].map((option) => ({
+    settings: /** @type {[Setting, Setting]} */ ([
+      ['noEmit', true],
+      [option, true],
+    ]),
+    reason: 'since `noEmit` turns off all output',
+  })),
+  {
+    settings: [
+      ['sourceMap', true],
+      ['inlineSourceMap', true],
+    ],
+    reason: 'since source maps are either inline or separate files',
+  },
+  {
+    settings: [
+      ['allowJs', false],
+      ['checkJs', true],
+    ],
+    reason: 'since JS files need to be allowed to be checked',
+  },
+  {
+    settings: [
+      ['composite', true],
+      ['declaration', false],
+    ],
+    reason: 'since projects that are referenced need declarations',
+  },
+  {
+    settings: [
+      ['composite', true],
+      ['incremental', false],
+    ],
+    reason: 'since composite projects are always incremental',
+  },
+];
+
+/**
+ * Options that don't do anything without one of the other options
+ * Tsconfigs that extend another one may get the other option from it, so these aren't checked there
+ *
+ * @type {{option: string, requires: string[]}[]}
+ */
+const requirements = [
+  { option: 'emitDeclarationOnly', requires: ['declaration', 'composite'] },
+  { option: 'declarationMap', requires: ['declaration', 'composite'] },
+  { option: 'declarationDir', requires: ['declaration', 'composite'] },
+  { option: 'inlineSources', requires: ['sourceMap', 'inlineSourceMap'] },
+];
+
+/** @param {string[]} names */
+const list = (names) => names.map((name) => `\`${name}\``).join(' or ');
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow TypeScript compiler options that contradict each other, or that have no effect without another option.',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/no-contradictory-tsconfig-options/README.md',
+    },
+    messages: {
+      conflict: '`{{option}}` contradicts `{{other}}`, {{reason}}.',
+      requires: '`{{option}}` has no effect without {{requires}}.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const tsconfig = getRootObject(program);
+        const compilerOptions = getProperty(tsconfig, 'compilerOptions');
+        if (!tsconfig || !compilerOptions) return;
+
+        /**
+         * Gets the property of an option if it has the value
+         *
+         * @param {Setting} setting
+         */
+        const find = ([name, value]) => {
+          const property = getProperty(compilerOptions.value, name);
+          if (!property || property.value.type !== 'JSONLiteral') return;
+          const enabled =
+            property.value.value !== false && property.value.value !== null;
+          return enabled === value ? property : undefined;
+        };
+
+        for (const { settings, reason } of conflicts) {
+          const [first, second] = settings.map(find);
+          if (!first || !second) continue;
+          // Reported on whichever comes last, since that is usually the one that was added by mistake
+          const [other, property] =
+            first.range[0] < second.range[0]
+              ? [first, second]
+              : [second, first];
+          context.report({
+            node: property,
+            messageId: 'conflict',
+            data: {
+              option: getKey(property),
+              other: getKey(other),
+              reason,
+            },
+          });
+        }
+
+        if (getProperty(tsconfig, 'extends')) return;
+        for (const { option, requires } of requirements) {
+          const property = find([option, true]);
+          if (property && !requires.some((name) => find([name, true]))) {
+            context.report({
+              node: property,
+              messageId: 'requires',
+              data: { option, requires: list(requires) },
+            });
+          }
+        }
+      },
+    };
+  },
+};
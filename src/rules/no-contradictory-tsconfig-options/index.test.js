@@ -0,0 +1,141 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSONC' },
+});
+
+ruleTester.run('no-contradictory-tsconfig-options', rule, {
+  valid: [
+    '{}',
+    '{ "compilerOptions": { "noEmit": true } }',
+    '{ "compilerOptions": { "noEmit": false, "outDir": "dist" } }',
+    '{ "compilerOptions": { "declaration": true, "emitDeclarationOnly": true } }',
+    '{ "compilerOptions": { "composite": true, "declarationMap": true } }',
+    '{ "compilerOptions": { "sourceMap": true, "inlineSourceMap": false } }',
+    '{ "compilerOptions": { "allowJs": true, "checkJs": true } }',
+    '{ "compilerOptions": { "composite": true, "incremental": true } }',
+    '{ "compilerOptions": { "inlineSourceMap": true, "inlineSources": true } }',
+    // `null` resets an option that is set in an extended tsconfig
+    '{ "compilerOptions": { "noEmit": true, "outDir": null } }',
+    // A tsconfig that extends another one may get the required option from it
+    '{ "extends": "./tsconfig.base.json", "compilerOptions": { "declarationMap": true } }',
+  ],
+
+  invalid: [
+    {
+      code: '{ "compilerOptions": { "noEmit": true, "outDir": "dist" } }',
+      errors: [
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'outDir',
+            other: 'noEmit',
+            reason: 'since `noEmit` turns off all output',
+          },
+          line: 1,
+          column: 40,
+        },
+      ],
+    },
+    // Reported on whichever option comes last
+    {
+      code: '{ "compilerOptions": { "declaration": true, "noEmit": true } }',
+      errors: [
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'noEmit',
+            other: 'declaration',
+            reason: 'since `noEmit` turns off all output',
+          },
+        },
+      ],
+    },
+    {
+      code: '{ "compilerOptions": { "sourceMap": true, "inlineSourceMap": true } }',
+      errors: [
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'inlineSourceMap',
+            other: 'sourceMap',
+            reason: 'since source maps are either inline or separate files',
+          },
+        },
+      ],
+    },
+    {
+      code: '{ "compilerOptions": { "allowJs": false, "checkJs": true } }',
+      errors: [
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'checkJs',
+            other: 'allowJs',
+            reason: 'since JS files need to be allowed to be checked',
+          },
+        },
+      ],
+    },
+    // Conflicts are reported in tsconfigs that extend another one too
+    {
+      code: `{
+  "extends": "./tsconfig.base.json",
+  "compilerOptions": {
+    "composite": true,
+    "declaration": false,
+    "incremental": false,
+  },
+}`,
+      errors: [
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'declaration',
+            other: 'composite',
+            reason: 'since projects that are referenced need declarations',
+          },
+          line: 5,
+        },
+        {
+          messageId: 'conflict',
+          data: {
+            option: 'incremental',
+            other: 'composite',
+            reason: 'since composite projects are always incremental',
+          },
+          line: 6,
+        },
+      ],
+    },
+    {
+      code: '{ "compilerOptions": { "declarationMap": true } }',
+      errors: [
+        {
+          messageId: 'requires',
+          data: {
+            option: 'declarationMap',
+            requires: '`declaration` or `composite`',
+          },
+          line: 1,
+          column: 24,
+        },
+      ],
+    },
+    {
+      code: '{ "compilerOptions": { "sourceMap": false, "inlineSources": true } }',
+      errors: [
+        {
+          messageId: 'requires',
+          data: {
+            option: 'inlineSources',
+            requires: '`sourceMap` or `inlineSourceMap`',
+          },
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,44 @@
+const { getCalleeNames, isTestBlock } = require('../utils/test-calls');
+
+/** Jest's shorthands for focused tests and suites */
+const focusedAliases = new Set(['fit', 'fdescribe']);
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow focused tests and suites, which cause the rest of the tests to be skipped.',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/no-focused-tests/README.md',
+    },
+    messages: {
+      focused:
+        'Unexpected focused test `{{name}}`. Focusing a test causes the rest of the tests to be skipped.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    return {
+      /** @param {import('estree').CallExpression} node */
+      CallExpression(node) {
+        const names = getCalleeNames(node.callee);
+        if (!names) return;
+        const [root, ...modifiers] = names;
+        if (
+          (isTestBlock(root) && modifiers.includes('only')) ||
+          (focusedAliases.has(root) && modifiers.length === 0)
+        ) {
+          context.report({
+            node: node.callee,
+            messageId: 'focused',
+            data: { name: names.join('.') },
+          });
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,65 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+});
+
+ruleTester.run('no-focused-tests', rule, {
+  valid: [
+    "describe('suite', () => {});",
+    "it('test', () => {});",
+    "test.each([1, 2])('test %i', () => {});",
+    "describe.skip('suite', () => {});",
+    // Only the functions of test runners are checked
+    'only();',
+    'list.only();',
+    "foo.only('bar');",
+    // `fit` is only a focused test when it is called directly
+    "fit.skip('test', () => {});",
+    "describe[only]('suite', () => {});",
+  ],
+
+  invalid: [
+    {
+      code: "describe.only('suite', () => {});",
+      errors: [
+        {
+          messageId: 'focused',
+          data: { name: 'describe.only' },
+          line: 1,
+          column: 1,
+          endLine: 1,
+          endColumn: 14,
+        },
+      ],
+    },
+    {
+      code: "it.only('test', () => {});",
+      errors: [{ messageId: 'focused', data: { name: 'it.only' } }],
+    },
+    {
+      code: "test.only.each([1, 2])('test %i', () => {});",
+      errors: [{ messageId: 'focused', data: { name: 'test.only.each' } }],
+    },
+    {
+      code: "context['only']('suite', () => {});",
+      errors: [{ messageId: 'focused', data: { name: 'context.only' } }],
+    },
+    {
+      code: "suite.only('suite', () => {}); specify.only('test', () => {});",
+      errors: [
+        { messageId: 'focused', data: { name: 'suite.only' } },
+        { messageId: 'focused', data: { name: 'specify.only' } },
+      ],
+    },
+    {
+      code: "fdescribe('suite', () => { fit('test', () => {}); });",
+      errors: [
+        { messageId: 'focused', data: { name: 'fdescribe' } },
+        { messageId: 'focused', data: { name: 'fit' } },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,50 @@
+const { getCalleeNames, isTestBlock } = require('../utils/test-calls');
+
+/** Mocha's and Jest's shorthands for skipped tests and suites */
+const skippedAliases = new Set([
+  'xit',
+  'xtest',
+  'xspecify',
+  'xdescribe',
+  'xcontext',
+]);
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow skipped tests and suites, which are easy to forget about.',
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/no-skipped-tests/README.md',
+    },
+    messages: {
+      skipped:
+        'Unexpected skipped test `{{name}}`. Fix the test or delete it instead of skipping it.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    return {
+      /** @param {import('estree').CallExpression} node */
+      CallExpression(node) {
+        const names = getCalleeNames(node.callee);
+        if (!names) return;
+        const [root, ...modifiers] = names;
+        if (
+          (isTestBlock(root) && modifiers.includes('skip')) ||
+          (skippedAliases.has(root) && modifiers.length === 0)
+        ) {
+          context.report({
+            node: node.callee,
+            messageId: 'skipped',
+            data: { name: names.join('.') },
+          });
+        }
+      },
+    };
+  },
+};
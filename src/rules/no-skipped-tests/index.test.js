@@ -0,0 +1,72 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+});
+
+ruleTester.run('no-skipped-tests', rule, {
+  valid: [
+    "describe('suite', () => {});",
+    "it('test', () => {});",
+    "describe.only('suite', () => {});",
+    // Only the functions of test runners are checked
+    'skip();',
+    'list.skip(2);',
+    "this.skip('reason');",
+    // `xit` is only a skipped test when it is called directly
+    "xit.each([1, 2])('test %i', () => {});",
+    "it[skip]('test', () => {});",
+  ],
+
+  invalid: [
+    {
+      code: "describe.skip('suite', () => {});",
+      errors: [
+        {
+          messageId: 'skipped',
+          data: { name: 'describe.skip' },
+          line: 1,
+          column: 1,
+          endLine: 1,
+          endColumn: 14,
+        },
+      ],
+    },
+    {
+      code: "it.skip('test', () => {});",
+      errors: [{ messageId: 'skipped', data: { name: 'it.skip' } }],
+    },
+    {
+      code: "test.skip.each([1, 2])('test %i', () => {});",
+      errors: [{ messageId: 'skipped', data: { name: 'test.skip.each' } }],
+    },
+    {
+      code: "context['skip']('suite', () => {});",
+      errors: [{ messageId: 'skipped', data: { name: 'context.skip' } }],
+    },
+    {
+      code: "suite.skip('suite', () => {}); specify.skip('test', () => {});",
+      errors: [
+        { messageId: 'skipped', data: { name: 'suite.skip' } },
+        { messageId: 'skipped', data: { name: 'specify.skip' } },
+      ],
+    },
+    {
+      code: "xdescribe('suite', () => { xit('test', () => {}); xtest('test', () => {}); });",
+      errors: [
+        { messageId: 'skipped', data: { name: 'xdescribe' } },
+        { messageId: 'skipped', data: { name: 'xit' } },
+        { messageId: 'skipped', data: { name: 'xtest' } },
+      ],
+    },
+    {
+      code: "xcontext('suite', () => { xspecify('test', () => {}); });",
+      errors: [
+        { messageId: 'skipped', data: { name: 'xcontext' } },
+        { messageId: 'skipped', data: { name: 'xspecify' } },
+      ],
+    },
+  ],
+});
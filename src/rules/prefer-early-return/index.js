@@ -1,12 +1,33 @@
+const { invertCondition } = require('../utils/invert-condition');
+const { isTypeGuard } = require('../utils/type-guards');
+
+/**
+ * Checks whether a branch has no statements to un-nest,
+ * like a block with only comments (which can be reported with `maximumLines`)
+ *
+ * @param {import('estree').Statement} branch
+ */
+const isEmptyBlock = (branch) =>
+  branch.type === 'BlockStatement' && branch.body.length === 0;
+
 /** @type {import('eslint').Rule.RuleModule} */
 module.exports = {
   meta: {
+    fixable: 'code',
+    messages: {
+      earlyExit:
+        'Prefer an early {{exit}} to a conditionally-wrapped {{body}} body. The conditional has {{count}} {{unit}}, more than the limit of {{limit}}.',
+      trailingEarlyExit:
+        'Prefer an early {{exit}} to a conditional that wraps the end of the {{body}} body. The conditional has {{count}} {{unit}}, more than the limit of {{limit}}.',
+      guardClause:
+        'Prefer a guard clause with the short branch to an if/else that wraps the {{body}} body. The long branch has {{count}} {{unit}}, more than the limit of {{limit}}.',
+    },
     docs: {
       description:
         'Prefer early returns over full-body conditional wrapping in function declarations.',
       category: 'Best Practices',
       recommended: false,
-      uri: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/prefer-early-return/README.md',
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/prefer-early-return/README.md',
     },
     schema: [
       {
@@ -15,6 +36,24 @@ module.exports = {
           maximumStatements: {
             type: 'integer',
           },
+          maximumLines: {
+            type: 'integer',
+          },
+          countNestedStatements: {
+            type: 'boolean',
+          },
+          ignoreIfTestIsTypeGuard: {
+            type: 'boolean',
+          },
+          loops: {
+            type: 'boolean',
+          },
+          trailingConditionals: {
+            type: 'boolean',
+          },
+          maximumGuardStatements: {
+            type: 'integer',
+          },
         },
         additionalProperties: false,
       },
@@ -22,52 +61,436 @@ module.exports = {
   },
 
   create(context) {
-    const options = context.options[0] || { maximumStatements: 2 };
-    const maxStatements = options.maximumStatements;
+    const {
+      maximumLines: maxLines,
+      // The number of statements is only the default measure when the number of lines isn't set
+      maximumStatements: maxStatements = maxLines === undefined ? 2 : undefined,
+      countNestedStatements = false,
+      ignoreIfTestIsTypeGuard = false,
+      loops = false,
+      trailingConditionals = false,
+      maximumGuardStatements: maxGuardStatements = 1,
+    } = context.options[0] || {};
+    const sourceCode = context.getSourceCode();
+
+    /**
+     * Counts a statement and all of the statements inside of it, except for blocks
+     *
+     * @param {import('estree').Node} node
+     * @returns {number}
+     */
+    function countStatements(node) {
+      const isStatement =
+        /(?:Statement|Declaration)$/.test(node.type) &&
+        node.type !== 'BlockStatement' &&
+        node.type !== 'EmptyStatement';
+      let count = isStatement ? 1 : 0;
+      for (const key of sourceCode.visitorKeys[node.type] || []) {
+        for (const child of [node[key]].flat()) {
+          if (child && typeof child.type === 'string') {
+            count += countStatements(child);
+          }
+        }
+      }
+
+      return count;
+    }
+
+    /**
+     * @typedef {object} Excess
+     * @property {number} count
+     * @property {number} limit
+     * @property {string} unit
+     */
+
+    /**
+     * Measures the statements that a conditional wraps, and compares them to the limits
+     * Returns the measure that is over its limit, or undefined if the conditional is short enough
+     *
+     * @param {import('estree').Statement} consequent
+     * @returns {Excess | undefined}
+     */
+    function getExcess(consequent) {
+      if (
+        consequent.type !== 'BlockStatement' &&
+        consequent.type !== 'ExpressionStatement'
+      ) {
+        return;
+      }
+
+      const statements =
+        consequent.type === 'BlockStatement' ? consequent.body : [consequent];
+      const statementCount = countNestedStatements
+        ? statements.reduce(
+            (count, statement) => count + countStatements(statement),
+            0
+          )
+        : statements.length;
+      // The lines of a block don't include the lines with just the braces
+      const lineCount =
+        consequent.type === 'BlockStatement'
+          ? Math.max(consequent.loc.end.line - consequent.loc.start.line - 1, 1)
+          : consequent.loc.end.line - consequent.loc.start.line + 1;
+      if (maxStatements !== undefined && statementCount > maxStatements) {
+        return {
+          count: statementCount,
+          limit: maxStatements,
+          unit: statementCount === 1 ? 'statement' : 'statements',
+        };
+      }
+
+      if (maxLines !== undefined && lineCount > maxLines) {
+        return {
+          count: lineCount,
+          limit: maxLines,
+          unit: lineCount === 1 ? 'line' : 'lines',
+        };
+      }
+    }
 
-    /** @param {import('estree').Statement} consequent */
-    function isOffendingConsequent(consequent) {
+    /**
+     * Checks whether a branch of an if/else is short and ends by leaving the function or the loop,
+     * so it can be a guard clause
+     *
+     * @param {import('estree').Statement} branch
+     * @param {string[]} exitTypes
+     */
+    function isGuardBranch(branch, exitTypes) {
+      const statements =
+        branch.type === 'BlockStatement' ? branch.body : [branch];
       return (
-        (consequent.type === 'ExpressionStatement' && maxStatements === 0) ||
-        (consequent.type === 'BlockStatement' &&
-          consequent.body.length > maxStatements)
+        statements.length > 0 &&
+        statements.length <= maxGuardStatements &&
+        exitTypes.includes(statements[statements.length - 1].type)
       );
     }
 
-    /** @param {import('estree').Statement} statement */
-    function isOffendingIfStatement(statement) {
-      return (
-        isLonelyIfStatement(statement) &&
-        isOffendingConsequent(statement.consequent)
+    /**
+     * Gets the branches of an if/else where one branch can be a guard clause and the other one is long,
+     * or undefined if the statement isn't like that
+     * `negated` is true if the guard is the else branch, so the condition has to be inverted
+     *
+     * @param {import('estree').Statement} statement
+     * @param {string[]} exitTypes
+     * @returns {{ guard: import('estree').Statement, rest: import('estree').Statement, negated: boolean, excess: Excess } | undefined}
+     */
+    function getGuardBranches(statement, exitTypes) {
+      if (
+        statement.type !== 'IfStatement' ||
+        !statement.alternate ||
+        // Else if chains have more than two branches
+        statement.alternate.type === 'IfStatement'
+      ) {
+        return;
+      }
+
+      const { consequent, alternate } = statement;
+      if (isGuardBranch(alternate, exitTypes)) {
+        const excess = getExcess(consequent);
+        if (excess) {
+          return { guard: alternate, rest: consequent, negated: true, excess };
+        }
+      }
+
+      if (isGuardBranch(consequent, exitTypes)) {
+        const excess = getExcess(alternate);
+        if (excess) {
+          return { guard: consequent, rest: alternate, negated: false, excess };
+        }
+      }
+    }
+
+    /**
+     * Checks whether moving the statements out of a block would change what their declarations refer to,
+     * or would make the code that stays before them (like the test of the if statement) refer to them
+     *
+     * @param {import('estree').Node} container The function, or the body of the loop
+     * @param {import('estree').Statement} block
+     * @param {import('estree').Node[]} codeBefore
+     */
+    function hasConflictingDeclarations(container, block, codeBefore) {
+      const { scopeManager } = sourceCode;
+      const blockScope = scopeManager.acquire(block);
+      if (!blockScope) return false;
+      const outerScope = scopeManager.acquire(container, true);
+      const takenNames = new Set([
+        ...(outerScope ? outerScope.variables : []).map(
+          (variable) => variable.name
+        ),
+        ...codeBefore.flatMap((node) =>
+          sourceCode
+            .getTokens(node)
+            .filter((token) => token.type === 'Identifier')
+            .map((token) => token.value)
+        ),
+      ]);
+      return blockScope.variables.some(
+        (variable) =>
+          takenNames.has(variable.name) ||
+          // Function declarations in blocks are hoisted differently in sloppy mode
+          variable.defs.some((def) => def.type === 'FunctionName')
       );
     }
 
-    /** @param {import('estree').BlockStatement} functionBody */
-    function hasSimplifiableConditionalBody(functionBody) {
-      const body = functionBody.body;
-      return (
-        functionBody.type === 'BlockStatement' &&
-        body.length === 1 &&
-        isOffendingIfStatement(body[0])
+    /**
+     * Gets the text inside of a block with one level of indentation removed,
+     * except for the lines inside of strings and template literals, whose contents would change
+     *
+     * @param {import('estree').BlockStatement} block
+     * @param {string} outerIndent
+     */
+    function getUnwrappedText(block, outerIndent) {
+      const stringLines = new Set(
+        sourceCode
+          .getTokens(block)
+          .filter(
+            (token) => token.type === 'Template' || token.type === 'String'
+          )
+          .flatMap((token) =>
+            Array.from(
+              { length: token.loc.end.line - token.loc.start.line },
+              (_, i) => token.loc.start.line + i + 1
+            )
+          )
       );
+      const innerIndent = /^\s*/.exec(
+        sourceCode.lines[block.body[0].loc.start.line - 1]
+      )[0];
+      const text = sourceCode.text.slice(
+        block.range[0] + 1,
+        block.range[1] - 1
+      );
+      if (!innerIndent.startsWith(outerIndent)) return text.trim();
+      return text
+        .split('\n')
+        .map((line, i) =>
+          !stringLines.has(block.loc.start.line + i) &&
+          line.startsWith(innerIndent)
+            ? outerIndent + line.slice(innerIndent.length)
+            : line
+        )
+        .join('\n')
+        .trim();
     }
 
-    /** @param {import('estree').FunctionDeclaration} functionNode */
-    function checkFunctionBody(functionNode) {
-      const body = functionNode.body;
+    /**
+     * Checks whether an if statement has comments outside of the branches that are kept by a fix,
+     * like in the test or next to `else`, which the fix would lose
+     *
+     * @param {import('estree').IfStatement} ifStatement
+     * @param {import('estree').Statement[]} branches
+     */
+    function hasLostComments(ifStatement, branches) {
+      return sourceCode.getCommentsInside(ifStatement).some((comment) =>
+        branches.every((branch) => {
+          // Comments in a block that is unwrapped are kept, but not the braces of the block
+          const inset = branch.type === 'BlockStatement' ? 1 : 0;
+          return (
+            comment.range[0] < branch.range[0] + inset ||
+            comment.range[1] > branch.range[1] - inset
+          );
+        })
+      );
+    }
+
+    /**
+     * Gets the text of the opposite of the test of an if statement
+     *
+     * @param {import('estree').IfStatement} ifStatement
+     */
+    function getInvertedTest({ test }) {
+      // Changing the parts of a test with `await` or `yield`
+      // could change what is awaited or yielded, so the whole test is wrapped instead
+      const hasPause = sourceCode
+        .getTokens(test)
+        .some((token) => token.value === 'await' || token.value === 'yield');
+      return invertCondition(sourceCode, test, { wrapOnly: hasPause }).text;
+    }
+
+    /**
+     * Replaces an if statement with a guard clause, followed by the statements of a branch
+     *
+     * @param {import('eslint').Rule.RuleFixer} fixer
+     * @param {import('estree').IfStatement} ifStatement
+     * @param {string} guard The guard clause, like `if (!a) return;`
+     * @param {import('estree').Statement} rest The branch whose statements are un-nested
+     * @returns {import('eslint').Rule.Fix}
+     */
+    function unwrap(fixer, ifStatement, guard, rest) {
+      const outerIndent = /^\s*/.exec(
+        sourceCode.lines[ifStatement.loc.start.line - 1]
+      )[0];
+      const statements =
+        rest.type === 'BlockStatement'
+          ? getUnwrappedText(rest, outerIndent)
+          : sourceCode.getText(rest);
+      return fixer.replaceText(
+        ifStatement,
+        `${guard}\n${outerIndent}${statements}`
+      );
+    }
+
+    /**
+     * Gets a fix that inverts the if statement into an early exit (like `if (!a) return;`)
+     * and moves its statements after it
+     * The fix is only built when the fixer runs, and it returns null if that isn't safe
+     *
+     * @param {import('estree').Node} container The function, or the body of the loop
+     * @param {import('estree').IfStatement} ifStatement
+     * @param {string} exit The statement that exits early, like `return;` or `continue;`
+     * @param {import('estree').Statement[]} statementsBefore The statements before the if statement
+     * @returns {import('eslint').Rule.ReportFixer}
+     */
+    function getEarlyExitFix(container, ifStatement, exit, statementsBefore) {
+      return (fixer) => {
+        const { consequent, test } = ifStatement;
+        if (
+          isEmptyBlock(consequent) ||
+          hasLostComments(ifStatement, [consequent]) ||
+          hasConflictingDeclarations(container, consequent, [
+            ...statementsBefore,
+            test,
+          ])
+        ) {
+          return null;
+        }
+
+        return unwrap(
+          fixer,
+          ifStatement,
+          `if (${getInvertedTest(ifStatement)}) ${exit}`,
+          consequent
+        );
+      };
+    }
 
-      if (hasSimplifiableConditionalBody(body)) {
-        context.report(
-          body,
-          'Prefer an early return to a conditionally-wrapped function body'
+    /**
+     * Gets a fix that moves the short branch of an if/else into a guard clause
+     * and moves the statements of the long branch after it
+     * The fix is only built when the fixer runs, and it returns null if that isn't safe
+     *
+     * @param {import('estree').Node} container The function, or the body of the loop
+     * @param {import('estree').IfStatement} ifStatement
+     * @param {{ guard: import('estree').Statement, rest: import('estree').Statement, negated: boolean }} branches
+     * @returns {import('eslint').Rule.ReportFixer}
+     */
+    function getGuardFix(container, ifStatement, { guard, rest, negated }) {
+      return (fixer) => {
+        if (
+          isEmptyBlock(rest) ||
+          hasLostComments(ifStatement, [guard, rest]) ||
+          hasConflictingDeclarations(container, rest, [ifStatement.test, guard])
+        ) {
+          return null;
+        }
+
+        const test = negated
+          ? getInvertedTest(ifStatement)
+          : sourceCode.getText(ifStatement.test);
+        return unwrap(
+          fixer,
+          ifStatement,
+          `if (${test}) ${sourceCode.getText(guard)}`,
+          rest
         );
+      };
+    }
+
+    /**
+     * Gets the location of the `if` keyword and the test of an if statement
+     *
+     * @param {import('estree').IfStatement} ifStatement
+     * @returns {import('estree').SourceLocation}
+     */
+    function getTestLocation(ifStatement) {
+      const closingParen = sourceCode.getTokenBefore(ifStatement.consequent);
+      return { start: ifStatement.loc.start, end: closingParen.loc.end };
+    }
+
+    /**
+     * Reports a function or loop body that is wrapped in an if statement,
+     * either entirely or (with `trailingConditionals`) after some other statements
+     *
+     * @param {import('estree').Node} container The function, or the body of the loop
+     * @param {import('estree').Statement | import('estree').Expression} body
+     * @param {'function' | 'loop'} kind
+     */
+    function checkBody(container, body, kind) {
+      if (body.type !== 'BlockStatement' || body.body.length === 0) return;
+      const statementsBefore = body.body.slice(0, -1);
+      if (statementsBefore.length > 0 && !trailingConditionals) return;
+      const statement = body.body[body.body.length - 1];
+      if (
+        statement.type !== 'IfStatement' ||
+        (ignoreIfTestIsTypeGuard && isTypeGuard(context, statement.test))
+      ) {
+        return;
+      }
+
+      const exit = kind === 'function' ? 'return' : 'continue';
+      if (isLonelyIfStatement(statement)) {
+        const excess = getExcess(statement.consequent);
+        if (!excess) return;
+        context.report({
+          loc: getTestLocation(statement),
+          messageId:
+            statementsBefore.length > 0 ? 'trailingEarlyExit' : 'earlyExit',
+          data: { exit, body: kind, ...excess },
+          fix: getEarlyExitFix(
+            container,
+            statement,
+            `${exit};`,
+            statementsBefore
+          ),
+        });
+        return;
+      }
+
+      // Only if/else statements that wrap the entire body are checked,
+      // since the short branch of a trailing if/else is often the result of the function
+      if (statementsBefore.length > 0) return;
+      const branches = getGuardBranches(
+        statement,
+        kind === 'function'
+          ? ['ReturnStatement', 'ThrowStatement']
+          : [
+              'BreakStatement',
+              'ContinueStatement',
+              'ReturnStatement',
+              'ThrowStatement',
+            ]
+      );
+      if (branches) {
+        context.report({
+          loc: getTestLocation(statement),
+          messageId: 'guardClause',
+          data: { body: kind, ...branches.excess },
+          fix: getGuardFix(container, statement, branches),
+        });
       }
     }
 
+    /** @param {import('estree').FunctionDeclaration} functionNode */
+    function checkFunctionBody(functionNode) {
+      checkBody(functionNode, functionNode.body, 'function');
+    }
+
+    /** @param {import('estree').ForStatement | import('estree').ForInStatement | import('estree').ForOfStatement | import('estree').WhileStatement | import('estree').DoWhileStatement} loop */
+    function checkLoopBody(loop) {
+      checkBody(loop.body, loop.body, 'loop');
+    }
+
     return {
       FunctionDeclaration: checkFunctionBody,
       FunctionExpression: checkFunctionBody,
       ArrowFunctionExpression: checkFunctionBody,
+      ...(loops && {
+        ForStatement: checkLoopBody,
+        ForInStatement: checkLoopBody,
+        ForOfStatement: checkLoopBody,
+        WhileStatement: checkLoopBody,
+        DoWhileStatement: checkLoopBody,
+      }),
     };
   },
 };
@@ -0,0 +1,765 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parserOptions: { ecmaVersion: 2022, sourceType: 'module' },
+});
+const typescriptParser = require.resolve('@typescript-eslint/parser');
+
+ruleTester.run('prefer-early-return', rule, {
+  valid: [
+    // Already returns early
+    `
+function foo() {
+  if (!a) {
+    return;
+  }
+
+  b();
+  c();
+  d();
+}
+`,
+    // The conditional isn't the whole body
+    `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  }
+
+  e();
+}
+`,
+    // Both branches are long
+    `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } else {
+    e();
+    f();
+    g();
+  }
+}
+`,
+    // The short branch doesn't leave the function
+    `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } else {
+    e();
+  }
+}
+`,
+    `
+function foo() {
+  if (a) {
+    b();
+    c();
+  }
+}
+`,
+    `
+const foo = () => {
+  if (a) b();
+};
+`,
+    'const foo = () => a && b();',
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  }
+}
+`,
+      options: [{ maximumStatements: 3 }],
+    },
+    // Loops are only checked with `loops: true`
+    `
+for (const item of items) {
+  if (item.visible) {
+    a(item);
+    b(item);
+    c(item);
+  }
+}
+`,
+    // Trailing conditionals are only checked with `trailingConditionals: true`
+    `
+function foo() {
+  const a = setup();
+  if (a.ready) {
+    b();
+    c();
+    d();
+  }
+}
+`,
+    // A trailing if/else is often the result of the function
+    {
+      code: `
+function foo() {
+  const a = setup();
+  if (a.ready) {
+    b();
+    c();
+    return d();
+  } else {
+    return null;
+  }
+}
+`,
+      options: [{ trailingConditionals: true }],
+    },
+    // Only the statements directly inside of the conditional are counted by default
+    `
+function foo() {
+  if (a) {
+    try {
+      b();
+      c();
+      d();
+    } catch {
+      e();
+    }
+  }
+}
+`,
+    {
+      code: `
+function foo() {
+  if (a) {
+    b(); c(); d();
+  }
+}
+`,
+      options: [{ maximumLines: 1 }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } else {
+    return;
+  }
+}
+`,
+      options: [{ maximumGuardStatements: 0 }],
+    },
+    {
+      code: `
+function foo(value: unknown) {
+  if (typeof value === 'string') {
+    a(value);
+    b(value);
+    c(value);
+  }
+}
+`,
+      options: [{ ignoreIfTestIsTypeGuard: true }],
+      parser: typescriptParser,
+    },
+    {
+      code: `
+const isFoo = (value: unknown): value is Foo => value instanceof Foo;
+function foo(value: unknown) {
+  if (!isFoo(value)) {
+    a(value);
+    b(value);
+    c(value);
+  }
+}
+`,
+      options: [{ ignoreIfTestIsTypeGuard: true }],
+      parser: typescriptParser,
+    },
+  ],
+
+  invalid: [
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) return;
+  b();
+  c();
+  d();
+}
+`,
+      errors: [
+        {
+          messageId: 'earlyExit',
+          data: {
+            exit: 'return',
+            body: 'function',
+            count: 3,
+            unit: 'statements',
+            limit: 2,
+          },
+          line: 3,
+          column: 3,
+          endLine: 3,
+          endColumn: 9,
+        },
+      ],
+    },
+    {
+      code: `
+const foo = function () {
+  if (a === b) {
+    c();
+  }
+};
+`,
+      output: `
+const foo = function () {
+  if (a !== b) return;
+  c();
+};
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+const foo = () => {
+  if (!a && b < c) {
+    d();
+  }
+};
+`,
+      output: `
+const foo = () => {
+  if (a || !(b < c)) return;
+  d();
+};
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a || b.c()) {
+    d();
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a && !b.c()) return;
+  d();
+}
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // Conditions with `await` or `yield` are wrapped, so that the same thing is awaited
+    {
+      code: `
+async function foo() {
+  if (a && await b()) {
+    c();
+  }
+}
+`,
+      output: `
+async function foo() {
+  if (!(a && await b())) return;
+  c();
+}
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+async function foo() {
+  if (await a()) {
+    b();
+  }
+}
+`,
+      output: `
+async function foo() {
+  if (!(await a())) return;
+  b();
+}
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function* foo() {
+  if (yield) {
+    a();
+  }
+}
+`,
+      output: `
+function* foo() {
+  if (!(yield)) return;
+  a();
+}
+`,
+      options: [{ maximumStatements: 0 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // Comments in the condition would be lost
+    {
+      code: `
+function foo() {
+  if (a /* b */) {
+    c();
+    d();
+    e();
+  }
+}
+`,
+      output: null,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // Comments in the block are kept
+    {
+      code: `
+function foo() {
+  if (a) {
+    // Comment
+    b();
+    c();
+    d();
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) return;
+  // Comment
+  b();
+  c();
+  d();
+}
+`,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // The declarations would shadow a parameter, or the names in the condition
+    {
+      code: `
+function foo(a) {
+  if (b) {
+    const a = 1;
+    c(a);
+    d();
+  }
+}
+`,
+      output: null,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    const a = 1;
+    b(a);
+    c();
+  }
+}
+`,
+      output: null,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // Function declarations in blocks are hoisted differently
+    {
+      code: `
+function foo() {
+  if (a) {
+    function b() {}
+    b();
+    c();
+  }
+}
+`,
+      output: null,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    // The lines inside of template literals are not dedented
+    {
+      code: `
+function foo() {
+  if (a) {
+    b(\`
+    c
+    \`);
+    d();
+    e();
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) return;
+  b(\`
+    c
+    \`);
+  d();
+  e();
+}
+`,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } else {
+    return null;
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) {
+    return null;
+  }
+  b();
+  c();
+  d();
+}
+`,
+      errors: [
+        {
+          messageId: 'guardClause',
+          data: {
+            body: 'function',
+            count: 3,
+            unit: 'statements',
+            limit: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: `
+function foo() {
+  if (a) throw new Error('a');
+  else {
+    b();
+    c();
+    d();
+  }
+}
+`,
+      output: `
+function foo() {
+  if (a) throw new Error('a');
+  b();
+  c();
+  d();
+}
+`,
+      errors: [{ messageId: 'guardClause' }],
+    },
+    // The comment next to else would be lost
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } // Comment
+  else {
+    return;
+  }
+}
+`,
+      output: null,
+      errors: [{ messageId: 'guardClause' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    b();
+    c();
+    d();
+  } else {
+    e();
+    return;
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) {
+    e();
+    return;
+  }
+  b();
+  c();
+  d();
+}
+`,
+      options: [{ maximumGuardStatements: 2 }],
+      errors: [{ messageId: 'guardClause' }],
+    },
+    {
+      code: `
+for (const item of items) {
+  if (item.visible) {
+    a(item);
+    b(item);
+    c(item);
+  }
+}
+`,
+      output: `
+for (const item of items) {
+  if (!item.visible) continue;
+  a(item);
+  b(item);
+  c(item);
+}
+`,
+      options: [{ loops: true }],
+      errors: [
+        {
+          messageId: 'earlyExit',
+          data: {
+            exit: 'continue',
+            body: 'loop',
+            count: 3,
+            unit: 'statements',
+            limit: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: `
+while (a) {
+  if (b) {
+    c();
+    d();
+    e();
+  } else {
+    break;
+  }
+}
+`,
+      output: `
+while (a) {
+  if (!b) {
+    break;
+  }
+  c();
+  d();
+  e();
+}
+`,
+      options: [{ loops: true }],
+      errors: [
+        {
+          messageId: 'guardClause',
+          data: { body: 'loop', count: 3, unit: 'statements', limit: 2 },
+        },
+      ],
+    },
+    {
+      code: `
+function foo() {
+  const a = setup();
+  if (a.ready) {
+    b();
+    c();
+    d();
+  }
+}
+`,
+      output: `
+function foo() {
+  const a = setup();
+  if (!a.ready) return;
+  b();
+  c();
+  d();
+}
+`,
+      options: [{ trailingConditionals: true }],
+      errors: [{ messageId: 'trailingEarlyExit' }],
+    },
+    // The statements before the conditional would see the declarations in the block
+    {
+      code: `
+function foo() {
+  b();
+  if (a) {
+    const b = 1;
+    c(b);
+    d();
+  }
+}
+`,
+      output: null,
+      options: [{ trailingConditionals: true }],
+      errors: [{ messageId: 'trailingEarlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    try {
+      b();
+      c();
+    } catch {
+      d();
+    }
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) return;
+  try {
+    b();
+    c();
+  } catch {
+    d();
+  }
+}
+`,
+      options: [{ countNestedStatements: true }],
+      errors: [
+        {
+          messageId: 'earlyExit',
+          data: {
+            exit: 'return',
+            body: 'function',
+            count: 4,
+            unit: 'statements',
+            limit: 2,
+          },
+        },
+      ],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+    b({
+      c: 1,
+    });
+  }
+}
+`,
+      output: `
+function foo() {
+  if (!a) return;
+  b({
+    c: 1,
+  });
+}
+`,
+      options: [{ maximumLines: 2 }],
+      errors: [
+        {
+          messageId: 'earlyExit',
+          data: {
+            exit: 'return',
+            body: 'function',
+            count: 3,
+            unit: 'lines',
+            limit: 2,
+          },
+        },
+      ],
+    },
+    // Blocks without statements have nothing to un-nest
+    {
+      code: `
+function foo() {
+  if (a) {
+
+    // Comment
+
+  }
+}
+`,
+      output: null,
+      options: [{ maximumLines: 2 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {}
+}
+`,
+      output: null,
+      options: [{ maximumStatements: -1 }],
+      errors: [{ messageId: 'earlyExit' }],
+    },
+    {
+      code: `
+function foo() {
+  if (a) {
+  } else {
+    return;
+  }
+}
+`,
+      output: null,
+      options: [{ maximumStatements: -1 }],
+      errors: [{ messageId: 'guardClause' }],
+    },
+    {
+      code: `
+function foo(value: unknown) {
+  if (value) {
+    a(value);
+    b(value);
+    c(value);
+  }
+}
+`,
+      output: `
+function foo(value: unknown) {
+  if (!value) return;
+  a(value);
+  b(value);
+  c(value);
+}
+`,
+      options: [{ ignoreIfTestIsTypeGuard: true }],
+      parser: typescriptParser,
+      errors: [{ messageId: 'earlyExit' }],
+    },
+  ],
+});
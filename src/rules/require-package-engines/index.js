@@ -0,0 +1,92 @@
+const { readFileSync } = require('node:fs');
+const { dirname, join } = require('node:path');
+
+const semver = require('semver');
+
+const { getProperty, getRootObject } = require('../utils/json');
+
+/** Files that version managers (nvm, fnm, nodenv, volta, etc.) read the Node version from */
+const versionFiles = ['.nvmrc', '.node-version'];
+
+/**
+ * Reads the Node version that a version manager would use for the package
+ * Returns undefined if there isn't a version file, or if it has an alias like `lts/*`
+ *
+ * @param {string} root the folder with the package.json
+ * @returns {{file: string, version: string} | undefined}
+ */
+const readVersionFile = (root) => {
+  for (const file of versionFiles) {
+    let text;
+    try {
+      text = readFileSync(join(root, file), 'utf8');
+    } catch {
+      continue;
+    }
+
+    const version = semver.coerce(text.trim());
+    if (version) return { file, version: version.version };
+  }
+};
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Require packages to declare the Node versions they support in `engines.node`, matching `.nvmrc`.',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/require-package-engines/README.md',
+    },
+    messages: {
+      missing:
+        'Expected `engines.node` with the Node versions that this package supports.',
+      invalid: '`engines.node` is not a valid semver range.',
+      mismatch:
+        'The Node version in `{{file}}` ({{version}}) is not in the range in `engines.node` ({{range}}).',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const root = dirname(context.getPhysicalFilename());
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const packageJson = getRootObject(program);
+        if (!packageJson) return;
+        const engines = getProperty(packageJson, 'engines');
+        const node = getProperty(engines && engines.value, 'node');
+        if (!node) {
+          context.report({
+            node: engines || packageJson,
+            loc: (engines || packageJson).loc.start,
+            messageId: 'missing',
+          });
+          return;
+        }
+
+        const range =
+          node.value.type === 'JSONLiteral' &&
+          typeof node.value.value === 'string'
+            ? node.value.value
+            : undefined;
+        if (range === undefined || semver.validRange(range) === null) {
+          context.report({ node: node.value, messageId: 'invalid' });
+          return;
+        }
+
+        const versionFile = readVersionFile(root);
+        if (versionFile && !semver.satisfies(versionFile.version, range)) {
+          context.report({
+            node: node.value,
+            messageId: 'mismatch',
+            data: { ...versionFile, range },
+          });
+        }
+      },
+    };
+  },
+};
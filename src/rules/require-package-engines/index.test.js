@@ -0,0 +1,78 @@
+const { join } = require('node:path');
+
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSON' },
+});
+
+/**
+ * Gets the path of a package.json in a fixture folder, next to the version files that it is checked against
+ *
+ * @param {string} name
+ */
+const fixture = (name) => join(__dirname, 'fixtures', name, 'package.json');
+
+ruleTester.run('require-package-engines', rule, {
+  valid: [
+    // Without a version file, any range is fine
+    {
+      code: '{ "engines": { "node": ">=14.0.0" } }',
+      filename: fixture('none'),
+    },
+    {
+      code: '{ "engines": { "node": "^16.0.0 || >=18.0.0" } }',
+      filename: fixture('none'),
+    },
+    { code: '{ "engines": { "node": ">=18" } }', filename: fixture('nvmrc') },
+    {
+      code: '{ "engines": { "node": "16.x" } }',
+      filename: fixture('node-version'),
+    },
+    // Aliases aren't checked
+    { code: '{ "engines": { "node": ">=18" } }', filename: fixture('alias') },
+    '[]',
+  ],
+
+  invalid: [
+    {
+      code: '{ "name": "my-package" }',
+      errors: [{ messageId: 'missing', line: 1, column: 1 }],
+    },
+    {
+      code: '{ "name": "my-package", "engines": { "npm": ">=8" } }',
+      errors: [{ messageId: 'missing', line: 1, column: 25 }],
+    },
+    {
+      code: '{ "engines": { "node": "latest" } }',
+      errors: [{ messageId: 'invalid', line: 1, column: 24 }],
+    },
+    {
+      code: '{ "engines": { "node": 18 } }',
+      errors: [{ messageId: 'invalid' }],
+    },
+    {
+      code: '{ "engines": { "node": ">=20" } }',
+      filename: fixture('nvmrc'),
+      errors: [
+        {
+          messageId: 'mismatch',
+          data: { file: '.nvmrc', version: '18.0.0', range: '>=20' },
+        },
+      ],
+    },
+    {
+      code: '{ "engines": { "node": "^18.0.0" } }',
+      filename: fixture('node-version'),
+      errors: [
+        {
+          messageId: 'mismatch',
+          data: { file: '.node-version', version: '16.20.0', range: '^18.0.0' },
+        },
+      ],
+    },
+  ],
+});
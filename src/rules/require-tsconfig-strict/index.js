@@ -0,0 +1,78 @@
+const { getProperty, getRootObject } = require('../utils/json');
+
+/** The checks that `strict` turns on */
+const strictOptions = [
+  'alwaysStrict',
+  'noImplicitAny',
+  'noImplicitThis',
+  'strictBindCallApply',
+  'strictFunctionTypes',
+  'strictNullChecks',
+  'strictPropertyInitialization',
+  'useUnknownInCatchVariables',
+];
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        "Require TypeScript's `strict` option, and disallow turning off the checks that it enables.",
+      category: 'Best Practices',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/require-tsconfig-strict/README.md',
+    },
+    messages: {
+      missing: 'Expected `compilerOptions.strict` to be `true`.',
+      disabled: 'Expected `strict` to be `true`.',
+      weakened:
+        '`{{option}}` turns off one of the checks that `strict` enables.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const tsconfig = getRootObject(program);
+        if (!tsconfig) return;
+        const compilerOptions = getProperty(tsconfig, 'compilerOptions');
+        const options = compilerOptions && compilerOptions.value;
+        const strict = getProperty(options, 'strict');
+
+        if (strict) {
+          if (
+            strict.value.type !== 'JSONLiteral' ||
+            strict.value.value !== true
+          )
+            context.report({ node: strict.value, messageId: 'disabled' });
+        } else if (!getProperty(tsconfig, 'extends')) {
+          // A tsconfig that extends another one may get `strict` from it
+          const node = compilerOptions || tsconfig;
+          context.report({
+            node,
+            loc: node.loc.start,
+            messageId: 'missing',
+          });
+        }
+
+        for (const option of strictOptions) {
+          const property = getProperty(options, option);
+          if (
+            property &&
+            property.value.type === 'JSONLiteral' &&
+            property.value.value === false
+          ) {
+            context.report({
+              node: property,
+              messageId: 'weakened',
+              data: { option },
+            });
+          }
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,67 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSONC' },
+});
+
+ruleTester.run('require-tsconfig-strict', rule, {
+  valid: [
+    '{ "compilerOptions": { "strict": true } }',
+    '{ "compilerOptions": { "strict": true, "noImplicitAny": true } }',
+    // Checks that strict doesn't enable can be turned off
+    '{ "compilerOptions": { "strict": true, "noUnusedLocals": false } }',
+    // A tsconfig that extends another one may get `strict` from it
+    '{ "extends": "./tsconfig.base.json" }',
+    '{ "extends": "@tsconfig/strictest", "compilerOptions": { "noEmit": true } }',
+    '[]',
+  ],
+
+  invalid: [
+    {
+      code: '{}',
+      errors: [{ messageId: 'missing', line: 1, column: 1 }],
+    },
+    {
+      code: `{
+  // Comment
+  "compilerOptions": {
+    "target": "es2022",
+  },
+}`,
+      errors: [{ messageId: 'missing', line: 3, column: 3 }],
+    },
+    {
+      code: '{ "compilerOptions": { "strict": false } }',
+      errors: [{ messageId: 'disabled', line: 1, column: 34 }],
+    },
+    {
+      code: '{ "compilerOptions": { "strict": "true" } }',
+      errors: [{ messageId: 'disabled' }],
+    },
+    {
+      code: '{ "compilerOptions": { "strict": true, "strictNullChecks": false } }',
+      errors: [
+        {
+          messageId: 'weakened',
+          data: { option: 'strictNullChecks' },
+          line: 1,
+          column: 40,
+        },
+      ],
+    },
+    // The checks can't be turned off in a tsconfig that extends another one either
+    {
+      code: '{ "extends": "./tsconfig.base.json", "compilerOptions": { "noImplicitAny": false, "useUnknownInCatchVariables": false } }',
+      errors: [
+        { messageId: 'weakened', data: { option: 'noImplicitAny' } },
+        {
+          messageId: 'weakened',
+          data: { option: 'useUnknownInCatchVariables' },
+        },
+      ],
+    },
+  ],
+});
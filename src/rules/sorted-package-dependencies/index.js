@@ -0,0 +1,84 @@
+const { getKey, getProperty, getRootObject } = require('../utils/json');
+
+/** The fields that npm keeps sorted when it adds a dependency */
+const dependencyFields = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'optionalDependencies',
+];
+
+/**
+ * Compares package names the same way that npm does
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+const compare = (a, b) => a.localeCompare(b, 'en');
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description:
+        'Require the dependencies of a package to be sorted alphabetically, like npm sorts them.',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/sorted-package-dependencies/README.md',
+    },
+    messages: {
+      unsorted:
+        'Expected `{{field}}` to be sorted alphabetically, `{{name}}` should come before `{{previous}}`.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode();
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const packageJson = getRootObject(program);
+        for (const field of dependencyFields) {
+          const property = getProperty(packageJson, field);
+          if (!property || property.value.type !== 'JSONObjectExpression')
+            continue;
+          const dependencies = property.value.properties;
+          const unsortedIndex = dependencies.findIndex(
+            (dependency, i) =>
+              i > 0 &&
+              compare(getKey(dependencies[i - 1]), getKey(dependency)) > 0
+          );
+          if (unsortedIndex === -1) continue;
+
+          const sorted = [...dependencies].sort((a, b) =>
+            compare(getKey(a), getKey(b))
+          );
+          context.report({
+            node: dependencies[unsortedIndex],
+            messageId: 'unsorted',
+            data: {
+              field,
+              name: getKey(dependencies[unsortedIndex]),
+              previous: getKey(dependencies[unsortedIndex - 1]),
+            },
+            // Each dependency is replaced with the one that belongs in its place,
+            // which keeps the commas and whitespace between them
+            fix:
+              sourceCode.getCommentsInside(property.value).length > 0
+                ? null
+                : (fixer) =>
+                    dependencies.map((dependency, i) =>
+                      fixer.replaceText(
+                        dependency,
+                        sourceCode.getText(sorted[i])
+                      )
+                    ),
+          });
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,90 @@
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSON' },
+});
+
+ruleTester.run('sorted-package-dependencies', rule, {
+  valid: [
+    '{}',
+    '{ "dependencies": {} }',
+    '{ "dependencies": { "a": "1.0.0", "b": "1.0.0" } }',
+    // Scoped packages come first, like npm sorts them
+    '{ "devDependencies": { "@scope/z": "1.0.0", "a": "1.0.0" } }',
+    // Only the dependency fields are checked
+    '{ "scripts": { "test": "jest", "build": "tsc" } }',
+    '{ "peerDependenciesMeta": { "b": {}, "a": {} } }',
+    '[]',
+  ],
+
+  invalid: [
+    {
+      code: '{ "dependencies": { "b": "1.0.0", "a": "2.0.0" } }',
+      output: '{ "dependencies": { "a": "2.0.0", "b": "1.0.0" } }',
+      errors: [
+        {
+          messageId: 'unsorted',
+          data: { field: 'dependencies', name: 'a', previous: 'b' },
+          line: 1,
+          column: 35,
+        },
+      ],
+    },
+    // The whitespace between the dependencies is kept
+    {
+      code: `{
+  "devDependencies": {
+    "c": "1.0.0",
+    "a": "1.0.0",
+    "b": "1.0.0"
+  }
+}`,
+      output: `{
+  "devDependencies": {
+    "a": "1.0.0",
+    "b": "1.0.0",
+    "c": "1.0.0"
+  }
+}`,
+      errors: [
+        {
+          messageId: 'unsorted',
+          data: { field: 'devDependencies', name: 'a', previous: 'c' },
+          line: 4,
+        },
+      ],
+    },
+    // Each field is reported separately
+    {
+      code: '{ "peerDependencies": { "b": "*", "a": "*" }, "optionalDependencies": { "d": "*", "c": "*" } }',
+      output:
+        '{ "peerDependencies": { "a": "*", "b": "*" }, "optionalDependencies": { "c": "*", "d": "*" } }',
+      errors: [
+        {
+          messageId: 'unsorted',
+          data: { field: 'peerDependencies', name: 'a', previous: 'b' },
+        },
+        {
+          messageId: 'unsorted',
+          data: { field: 'optionalDependencies', name: 'c', previous: 'd' },
+        },
+      ],
+    },
+    // Comments would be moved to the wrong dependency
+    {
+      code: `{
+  "dependencies": {
+    // Pinned until the next major version
+    "b": "1.0.0",
+    "a": "1.0.0"
+  }
+}`,
+      output: null,
+      parserOptions: { jsonSyntax: 'JSONC' },
+      errors: [{ messageId: 'unsorted' }],
+    },
+  ],
+});
@@ -0,0 +1,137 @@
+/**
+ * How tightly an expression binds, from loosest to tightest
+ * Expressions that are looser than their surroundings are wrapped in parentheses
+ */
+const precedence = {
+  /** Ternaries, assignments, sequences, `??`, arrows, and anything else that isn't listed */
+  loose: 0,
+  or: 1,
+  and: 2,
+  binary: 3,
+  /** Can have `!` in front of it without parentheses */
+  unary: 4,
+};
+
+const unaryTypes = new Set([
+  'CallExpression',
+  'ChainExpression',
+  'Identifier',
+  'Literal',
+  'MemberExpression',
+  'NewExpression',
+  'TaggedTemplateExpression',
+  'TemplateLiteral',
+  'ThisExpression',
+  'UnaryExpression',
+]);
+
+/** `!(a === b)` is the same as `a !== b`, which isn't true for `<` and `>=` when a value is NaN */
+const invertedOperators = new Map([
+  ['===', '!=='],
+  ['!==', '==='],
+  ['==', '!='],
+  ['!=', '=='],
+]);
+
+/**
+ * @param {import('estree').Node} node
+ * @returns {number}
+ */
+const getPrecedence = (node) => {
+  if (unaryTypes.has(node.type)) return precedence.unary;
+  if (node.type === 'BinaryExpression') return precedence.binary;
+  if (node.type === 'LogicalExpression') {
+    if (node.operator === '||') return precedence.or;
+    if (node.operator === '&&') return precedence.and;
+  }
+
+  return precedence.loose;
+};
+
+/**
+ * @typedef {object} Condition
+ * @property {string} text
+ * @property {number} precedence
+ */
+
+/**
+ * Wraps the text of a condition in parentheses if it is looser than where it goes
+ *
+ * @param {Condition} condition
+ * @param {number} minimum
+ */
+const wrap = (condition, minimum) =>
+  condition.precedence < minimum ? `(${condition.text})` : condition.text;
+
+/**
+ * Gets the text of the opposite of a condition
+ * Only the truthiness of the result is the same, so it should only be used for the test of an if statement
+ *
+ * - `!a` becomes `a`
+ * - `a === b` becomes `a !== b` (and the same for `!==`, `==`, and `!=`)
+ * - `a && b` becomes `!a || !b`, and `a || b` becomes `!a && !b`
+ * - Everything else is wrapped, like `!a.b()` or `!(a < b)`
+ *
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {import('estree').Expression} node
+ * @param {{ wrapOnly?: boolean }} [options] Only wrap the whole condition with `!()` instead of changing it
+ * @returns {Condition}
+ */
+const invertCondition = (sourceCode, node, { wrapOnly = false } = {}) => {
+  const text = sourceCode.getText(node);
+  if (!wrapOnly) {
+    if (node.type === 'UnaryExpression' && node.operator === '!') {
+      return {
+        text: sourceCode.getText(node.argument),
+        precedence: getPrecedence(node.argument),
+      };
+    }
+
+    const operator =
+      node.type === 'BinaryExpression' && invertedOperators.get(node.operator);
+    if (operator) {
+      const operatorToken = sourceCode.getFirstTokenBetween(
+        node.left,
+        node.right,
+        (token) => token.value === node.operator
+      );
+      if (operatorToken) {
+        const [start] = node.range;
+        return {
+          text:
+            text.slice(0, operatorToken.range[0] - start) +
+            operator +
+            text.slice(operatorToken.range[1] - start),
+          precedence: precedence.binary,
+        };
+      }
+    }
+
+    if (
+      node.type === 'LogicalExpression' &&
+      (node.operator === '&&' || node.operator === '||')
+    ) {
+      const isAnd = node.operator === '&&';
+      const minimum = isAnd ? precedence.or : precedence.and;
+      const left = invertCondition(sourceCode, node.left);
+      const right = invertCondition(sourceCode, node.right);
+      return {
+        text: `${wrap(left, minimum)} ${isAnd ? '||' : '&&'} ${wrap(
+          right,
+          minimum
+        )}`,
+        precedence: isAnd ? precedence.or : precedence.and,
+      };
+    }
+  }
+
+  return {
+    text: `!${wrap(
+      { text, precedence: getPrecedence(node) },
+      precedence.unary
+    )}`,
+    precedence: precedence.unary,
+  };
+};
+
+module.exports = { invertCondition };
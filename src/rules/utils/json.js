@@ -0,0 +1,45 @@
+/**
+ * Helpers for rules that lint JSON files parsed with jsonc-eslint-parser
+ */
+
+/** @typedef {import('jsonc-eslint-parser').AST.JSONObjectExpression} JSONObjectExpression */
+/** @typedef {import('jsonc-eslint-parser').AST.JSONProperty} JSONProperty */
+/** @typedef {import('jsonc-eslint-parser').AST.JSONExpression} JSONExpression */
+
+/**
+ * Gets the object at the root of a JSON file
+ * Returns undefined if the file is empty or doesn't contain an object
+ *
+ * @param {import('jsonc-eslint-parser').AST.JSONProgram} program
+ * @returns {JSONObjectExpression | undefined}
+ */
+const getRootObject = (program) => {
+  const [statement] = program.body;
+  if (statement && statement.expression.type === 'JSONObjectExpression')
+    return statement.expression;
+};
+
+/**
+ * Gets the key of a property as a string
+ *
+ * @param {JSONProperty} property
+ */
+const getKey = (property) =>
+  property.key.type === 'JSONIdentifier'
+    ? property.key.name
+    : String(property.key.value);
+
+/**
+ * Gets the last property of an object with a key (duplicate keys are reported by jsonc/no-dupe-keys,
+ * and the last one wins when the file is parsed)
+ *
+ * @param {JSONExpression | undefined} object
+ * @param {string} key
+ * @returns {JSONProperty | undefined}
+ */
+const getProperty = (object, key) => {
+  if (!object || object.type !== 'JSONObjectExpression') return;
+  return object.properties.filter((property) => getKey(property) === key).pop();
+};
+
+module.exports = { getRootObject, getProperty, getKey };
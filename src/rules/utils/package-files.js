@@ -0,0 +1,56 @@
+const { readdirSync, statSync } = require('node:fs');
+const { join } = require('node:path');
+
+/** Folders that are never a part of a package */
+const skippedFolders = new Set(['node_modules', '.git']);
+
+/**
+ * Checks whether a path exists, and what it is
+ *
+ * @param {string} path
+ * @returns {'file' | 'directory' | undefined}
+ */
+const getPathType = (path) => {
+  try {
+    const stats = statSync(path);
+    if (stats.isFile()) return 'file';
+    if (stats.isDirectory()) return 'directory';
+  } catch {}
+};
+
+/**
+ * Lists the files in a folder recursively, relative to `root`, with forward slashes
+ *
+ * @param {string} root
+ * @param {string} [folder] the folder to list, relative to `root`
+ * @returns {string[]}
+ */
+const listFiles = (root, folder = '') => {
+  let entries;
+  try {
+    entries = readdirSync(join(root, folder), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap((entry) => {
+    if (skippedFolders.has(entry.name)) return [];
+    const path = folder ? `${folder}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(root, path);
+    return entry.isFile() ? [path] : [];
+  });
+};
+
+/**
+ * Gets the folder at the start of a glob that doesn't have any glob characters,
+ * so that only that folder needs to be searched
+ *
+ * @param {string} pattern
+ */
+const getStaticFolder = (pattern) => {
+  const segments = pattern.split('/');
+  const index = segments.findIndex((segment) => /[!()*?[\]{}]/.test(segment));
+  return segments.slice(0, index === -1 ? -1 : index).join('/');
+};
+
+module.exports = { getPathType, listFiles, getStaticFolder };
@@ -0,0 +1,30 @@
+/** Functions that test runners (mocha, jest, vitest) use to define suites */
+const suiteNames = new Set(['describe', 'context', 'suite']);
+
+/** Functions that test runners (mocha, jest, vitest) use to define tests */
+const testNames = new Set(['it', 'test', 'specify']);
+
+/**
+ * Gets the names in a callee chain
+ * For example `describe.only.each` gives `['describe', 'only', 'each']`
+ * Returns undefined if the callee is anything other than an identifier or a chain of properties
+ *
+ * @param {import('estree').Node} callee
+ * @returns {string[] | undefined}
+ */
+const getCalleeNames = (callee) => {
+  if (callee.type === 'Identifier') return [callee.name];
+  if (callee.type !== 'MemberExpression') return;
+  const objectNames = getCalleeNames(callee.object);
+  if (!objectNames) return;
+  const property = callee.property;
+  if (!callee.computed && property.type === 'Identifier')
+    return [...objectNames, property.name];
+  if (property.type === 'Literal' && typeof property.value === 'string')
+    return [...objectNames, property.value];
+};
+
+/** @param {string} name */
+const isTestBlock = (name) => suiteNames.has(name) || testNames.has(name);
+
+module.exports = { getCalleeNames, isTestBlock, suiteNames, testNames };
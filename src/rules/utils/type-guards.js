@@ -0,0 +1,91 @@
+/**
+ * Checks whether a function node is declared as a type predicate, like `(value): value is Foo => ...`
+ *
+ * @param {import('estree').Node | null | undefined} node
+ */
+const hasTypePredicate = (node) =>
+  Boolean(
+    node &&
+      (node.type === 'FunctionDeclaration' ||
+        node.type === 'FunctionExpression' ||
+        node.type === 'ArrowFunctionExpression') &&
+      // Return types are only in the TS AST
+      node.returnType?.typeAnnotation.type === 'TSTypePredicate'
+  );
+
+/**
+ * Checks whether a call is to a type predicate function
+ * With type information, the signature of the call is checked,
+ * otherwise only functions that are declared in the same file are found
+ *
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('estree').CallExpression} node
+ */
+const isTypePredicateCall = (context, node) => {
+  const services = context.parserServices;
+  if (services?.hasFullTypeInformation) {
+    const checker = services.program.getTypeChecker();
+    const signature = checker.getResolvedSignature(
+      services.esTreeNodeToTSNodeMap.get(node)
+    );
+    return Boolean(signature && checker.getTypePredicateOfSignature(signature));
+  }
+
+  if (node.callee.type !== 'Identifier') return false;
+  const { name } = node.callee;
+  for (let scope = context.getScope(); scope; scope = scope.upper) {
+    const variable = scope.set.get(name);
+    if (!variable) continue;
+    return variable.defs.some(
+      (def) =>
+        hasTypePredicate(def.node) ||
+        (def.node.type === 'VariableDeclarator' &&
+          hasTypePredicate(def.node.init))
+    );
+  }
+
+  return false;
+};
+
+/**
+ * Checks whether a condition narrows the type of a value in TypeScript,
+ * like `typeof value === 'string'`, `value instanceof Foo`, `'key' in value`, `Array.isArray(value)`,
+ * or a call to a type predicate function
+ * A condition that combines other conditions (with `!`, `&&`, or `||`) is a type guard if any of them are
+ *
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('estree').Expression} node
+ * @returns {boolean}
+ */
+const isTypeGuard = (context, node) => {
+  if (node.type === 'UnaryExpression') {
+    return node.operator === '!' && isTypeGuard(context, node.argument);
+  }
+
+  if (node.type === 'LogicalExpression') {
+    return isTypeGuard(context, node.left) || isTypeGuard(context, node.right);
+  }
+
+  if (node.type === 'BinaryExpression') {
+    return (
+      node.operator === 'instanceof' ||
+      node.operator === 'in' ||
+      [node.left, node.right].some(
+        (side) => side.type === 'UnaryExpression' && side.operator === 'typeof'
+      )
+    );
+  }
+
+  if (node.type !== 'CallExpression') return false;
+  const { callee } = node;
+  return (
+    (callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      callee.object.name === 'Array' &&
+      callee.property.type === 'Identifier' &&
+      callee.property.name === 'isArray') ||
+    isTypePredicateCall(context, node)
+  );
+};
+
+module.exports = { isTypeGuard };
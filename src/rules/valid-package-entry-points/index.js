@@ -0,0 +1,160 @@
+const { dirname, join } = require('node:path');
+
+const { getKey, getProperty, getRootObject } = require('../utils/json');
+const {
+  getPathType,
+  getStaticFolder,
+  listFiles,
+} = require('../utils/package-files');
+
+/** @typedef {import('jsonc-eslint-parser').AST.JSONExpression} JSONExpression */
+
+/** The fields that point to one file, which Node or a bundler or TS resolves like a require() */
+const resolvedFields = ['main', 'module', 'browser', 'types', 'typings'];
+
+/** The extensions that get tried when a resolved field doesn't have one */
+const extensions = ['', '.js', '.json', '.node', '.d.ts'];
+
+/**
+ * Checks whether a field like `main` points to something, the way that require() would resolve it
+ *
+ * @param {string} root the folder with the package.json
+ * @param {string} target
+ */
+const resolves = (root, target) => {
+  const path = join(root, target);
+  return (
+    extensions.some((extension) => getPathType(path + extension) === 'file') ||
+    (getPathType(path) === 'directory' &&
+      extensions.some(
+        (extension) => getPathType(join(path, `index${extension}`)) === 'file'
+      ))
+  );
+};
+
+/**
+ * Checks whether an export target points to a file
+ * Targets with a `*` are patterns, which need to match at least one file
+ *
+ * @param {string} root the folder with the package.json
+ * @param {string} target
+ */
+const exportExists = (root, target) => {
+  if (!target.includes('*')) {
+    const type = getPathType(join(root, target));
+    // Targets that end with a slash export a whole folder (this is deprecated, but still works)
+    return target.endsWith('/') ? type === 'directory' : type === 'file';
+  }
+
+  const [prefix, suffix] = target.replace(/^\.\//, '').split('*');
+  const folder = getStaticFolder(prefix);
+  return listFiles(root, folder).some(
+    (file) =>
+      file.startsWith(prefix) &&
+      file.endsWith(suffix) &&
+      file.length > prefix.length + suffix.length
+  );
+};
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Require the entry points of a package (`main`, `exports`, `bin`, etc.) to exist.',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/valid-package-entry-points/README.md',
+    },
+    messages: {
+      missing:
+        '`{{field}}` points to `{{target}}`, which does not exist. If it is built, build the package before linting.',
+      notRelative:
+        'Export targets must start with `./`, but `{{field}}` points to `{{target}}`.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const root = dirname(context.getPhysicalFilename());
+
+    /**
+     * @param {JSONExpression} node
+     * @param {string} field the path of the field, for the error message
+     */
+    const checkExports = (node, field) => {
+      if (node.type === 'JSONLiteral' && typeof node.value === 'string') {
+        if (!node.value.startsWith('./')) {
+          context.report({
+            node,
+            messageId: 'notRelative',
+            data: { field, target: node.value },
+          });
+        } else if (!exportExists(root, node.value)) {
+          context.report({
+            node,
+            messageId: 'missing',
+            data: { field, target: node.value },
+          });
+        }
+      } else if (node.type === 'JSONArrayExpression') {
+        // Fallbacks, the first one that is supported is used
+        for (const element of node.elements)
+          if (element) checkExports(element, field);
+      } else if (node.type === 'JSONObjectExpression') {
+        // Subpaths (like `./utils`) or conditions (like `import` or `types`)
+        for (const property of node.properties)
+          checkExports(property.value, `${field}["${getKey(property)}"]`);
+      }
+    };
+
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const packageJson = getRootObject(program);
+        if (!packageJson) return;
+
+        for (const field of resolvedFields) {
+          const property = getProperty(packageJson, field);
+          // `browser` can also be an object that replaces modules, which isn't checked
+          if (
+            property &&
+            property.value.type === 'JSONLiteral' &&
+            typeof property.value.value === 'string' &&
+            !resolves(root, property.value.value)
+          ) {
+            context.report({
+              node: property.value,
+              messageId: 'missing',
+              data: { field, target: property.value.value },
+            });
+          }
+        }
+
+        const bin = getProperty(packageJson, 'bin');
+        const binTargets = bin
+          ? bin.value.type === 'JSONObjectExpression'
+            ? bin.value.properties
+            : [bin]
+          : [];
+        for (const { value } of binTargets) {
+          if (
+            value.type === 'JSONLiteral' &&
+            typeof value.value === 'string' &&
+            getPathType(join(root, value.value)) !== 'file'
+          ) {
+            context.report({
+              node: value,
+              messageId: 'missing',
+              data: { field: 'bin', target: value.value },
+            });
+          }
+        }
+
+        const packageExports = getProperty(packageJson, 'exports');
+        if (packageExports) checkExports(packageExports.value, 'exports');
+      },
+    };
+  },
+};
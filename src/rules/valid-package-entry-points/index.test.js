@@ -0,0 +1,120 @@
+const { join } = require('node:path');
+
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSON' },
+});
+
+// The fixture package has lib/index.d.ts, lib/utils.d.ts, bin/cli, and styles/main.css
+const filename = join(__dirname, 'fixtures', 'package', 'package.json');
+
+ruleTester.run('valid-package-entry-points', rule, {
+  valid: [
+    '{}',
+    // Resolved like require(), with an extension or an index file
+    '{ "main": "lib/index.d.ts" }',
+    '{ "main": "./lib/index" }',
+    '{ "main": "lib" }',
+    '{ "types": "lib/utils", "typings": "lib/utils.d.ts" }',
+    // `browser` can replace modules instead, which isn't checked
+    '{ "browser": { "./lib/missing.js": false } }',
+    '{ "bin": "bin/cli" }',
+    '{ "bin": { "cli": "./bin/cli" } }',
+    '{ "exports": "./lib/index.d.ts" }',
+    `{
+  "exports": {
+    ".": { "types": "./lib/index.d.ts", "default": "./lib/index.d.ts" },
+    "./utils": ["./lib/utils.d.ts"],
+    "./styles/*": "./styles/*",
+    "./lib/": "./lib/"
+  }
+}`,
+  ].map((code) => ({ code, filename })),
+
+  invalid: [
+    {
+      code: '{ "main": "dist/index.js" }',
+      errors: [
+        {
+          messageId: 'missing',
+          data: { field: 'main', target: 'dist/index.js' },
+          line: 1,
+          column: 11,
+        },
+      ],
+    },
+    {
+      code: '{ "module": "lib/index.mjs", "browser": "lib/browser" }',
+      errors: [
+        {
+          messageId: 'missing',
+          data: { field: 'module', target: 'lib/index.mjs' },
+        },
+        {
+          messageId: 'missing',
+          data: { field: 'browser', target: 'lib/browser' },
+        },
+      ],
+    },
+    // Bin targets aren't resolved, and need to be files
+    {
+      code: '{ "bin": { "cli": "bin/cli.js", "other": "bin" } }',
+      errors: [
+        { messageId: 'missing', data: { field: 'bin', target: 'bin/cli.js' } },
+        { messageId: 'missing', data: { field: 'bin', target: 'bin' } },
+      ],
+    },
+    {
+      code: '{ "exports": "lib/index.d.ts" }',
+      errors: [
+        {
+          messageId: 'notRelative',
+          data: { field: 'exports', target: 'lib/index.d.ts' },
+        },
+      ],
+    },
+    // Export targets aren't resolved
+    {
+      code: '{ "exports": "./lib/index" }',
+      errors: [
+        {
+          messageId: 'missing',
+          data: { field: 'exports', target: './lib/index' },
+        },
+      ],
+    },
+    {
+      code: `{
+  "exports": {
+    ".": { "types": "./lib/index.d.ts", "import": "./lib/index.mjs" },
+    "./utils": ["./lib/utils.d.ts", "./lib/utils.js"],
+    "./components/*": "./lib/components/*.js"
+  }
+}`,
+      errors: [
+        {
+          messageId: 'missing',
+          data: { field: 'exports["."]["import"]', target: './lib/index.mjs' },
+          line: 3,
+        },
+        {
+          messageId: 'missing',
+          data: { field: 'exports["./utils"]', target: './lib/utils.js' },
+          line: 4,
+        },
+        {
+          messageId: 'missing',
+          data: {
+            field: 'exports["./components/*"]',
+            target: './lib/components/*.js',
+          },
+          line: 5,
+        },
+      ],
+    },
+  ].map((test) => ({ ...test, filename })),
+});
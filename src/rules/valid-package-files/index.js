@@ -0,0 +1,89 @@
+const { dirname, join } = require('node:path');
+
+const { Minimatch } = require('minimatch');
+
+const { getProperty, getRootObject } = require('../utils/json');
+const {
+  getPathType,
+  getStaticFolder,
+  listFiles,
+} = require('../utils/package-files');
+
+/** Characters that make an entry in `files` a glob */
+const globPattern = /[!()*?[\]{}]/;
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Require each entry in the `files` of a package to match at least one file.',
+      category: 'Possible Errors',
+      recommended: false,
+      url: 'https://github.com/cloudfour/eslint-config/blob/main/src/rules/valid-package-files/README.md',
+    },
+    messages: {
+      noMatch:
+        '`{{entry}}` in `files` does not match any files, so nothing is published for it. If it is built, build the package before linting.',
+    },
+    schema: [],
+  },
+
+  create(context) {
+    const root = dirname(context.getPhysicalFilename());
+    /**
+     * The files in the folder that each glob starts with, so each folder is only listed once
+     *
+     * @type {Map<string, string[]>}
+     */
+    const filesByFolder = new Map();
+
+    /**
+     * Checks whether an entry in `files` matches at least one file
+     * npm treats each entry as a glob, and an entry that matches a folder includes everything in it
+     *
+     * @param {string} entry
+     */
+    const matchesFiles = (entry) => {
+      const pattern = entry.replace(/^\.?\//, '').replace(/\/$/, '');
+      // Most entries are plain paths, which don't need the folder to be listed
+      if (!globPattern.test(pattern))
+        return getPathType(join(root, pattern)) !== undefined;
+
+      const folder = getStaticFolder(pattern);
+      if (!filesByFolder.has(folder))
+        filesByFolder.set(folder, listFiles(root, folder));
+      const matchers = [pattern, `${pattern}/**`].map(
+        (p) => new Minimatch(p, { dot: true })
+      );
+      return /** @type {string[]} */ (filesByFolder.get(folder)).some((file) =>
+        matchers.some((matcher) => matcher.match(file))
+      );
+    };
+
+    return {
+      /** @param {import('jsonc-eslint-parser').AST.JSONProgram} program */
+      Program(program) {
+        const files = getProperty(getRootObject(program), 'files');
+        if (!files || files.value.type !== 'JSONArrayExpression') return;
+        for (const element of files.value.elements) {
+          if (
+            element &&
+            element.type === 'JSONLiteral' &&
+            typeof element.value === 'string' &&
+            // Negated entries exclude files, so they don't need to match anything
+            !element.value.startsWith('!') &&
+            !matchesFiles(element.value)
+          ) {
+            context.report({
+              node: element,
+              messageId: 'noMatch',
+              data: { entry: element.value },
+            });
+          }
+        }
+      },
+    };
+  },
+};
@@ -0,0 +1,54 @@
+const { join } = require('node:path');
+
+const { RuleTester } = require('eslint');
+
+const rule = require('.');
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+  parserOptions: { jsonSyntax: 'JSON' },
+});
+
+// The fixture package has lib/index.d.ts, lib/utils/math.d.ts, styles/main.css, and CHANGELOG.md
+const filename = join(__dirname, 'fixtures', 'package', 'package.json');
+
+ruleTester.run('valid-package-files', rule, {
+  valid: [
+    '{}',
+    '{ "files": [] }',
+    // Folders include everything in them
+    '{ "files": ["lib", "styles/"] }',
+    '{ "files": ["./lib/index.d.ts", "CHANGELOG.md"] }',
+    '{ "files": ["lib/**/*.d.ts", "*.md", "styles/*.{css,scss}"] }',
+    // A glob that matches a folder includes everything in it too
+    '{ "files": ["lib/u*"] }',
+    // Negated entries don't need to match anything
+    '{ "files": ["lib", "!lib/**/*.test.js"] }',
+  ].map((code) => ({ code, filename })),
+
+  invalid: [
+    {
+      code: '{ "files": ["dist"] }',
+      errors: [
+        {
+          messageId: 'noMatch',
+          data: { entry: 'dist' },
+          line: 1,
+          column: 13,
+        },
+      ],
+    },
+    {
+      code: '{ "files": ["lib", "lib/*.mjs", "./index.js", "styles/*.scss"] }',
+      errors: [
+        { messageId: 'noMatch', data: { entry: 'lib/*.mjs' } },
+        { messageId: 'noMatch', data: { entry: './index.js' } },
+        { messageId: 'noMatch', data: { entry: 'styles/*.scss' } },
+      ],
+    },
+    {
+      code: '{ "files": ["*.js"] }',
+      errors: [{ messageId: 'noMatch', data: { entry: '*.js' } }],
+    },
+  ].map((test) => ({ ...test, filename })),
+});
@@ -0,0 +1,59 @@
+const { readPackageJson } = require('./project');
+
+/**
+ * The packages that show which test runner a project uses
+ * If a project has more than one, the first one in this list wins
+ *
+ * @type {[string, string[]][]}
+ */
+const runnerPackages = [
+  ['vitest', ['vitest']],
+  ['jest', ['jest', '@jest/globals', 'ts-jest']],
+  ['mocha', ['mocha']],
+];
+
+/**
+ * Figures out which test runner the project being linted uses, based on its dependencies
+ *
+ * @param {string} [cwd]
+ * @returns {string | undefined}
+ */
+const detectTestRunner = (cwd) => {
+  const { dependencies, devDependencies } = readPackageJson(cwd);
+  const installed = { ...dependencies, ...devDependencies };
+  const match = runnerPackages.find(([, packages]) =>
+    packages.some((name) => name in installed)
+  );
+  return match?.[0];
+};
+
+/**
+ * Adds the globals for the project's test runner to an eslintrc config
+ *
+ * @param {import('eslint').Linter.Config} config
+ * @param {{[runner: string]: import('eslint').Linter.ConfigOverride}} runnerOverrides
+ * @param {string} [cwd]
+ */
+const withTestRunner = (config, runnerOverrides, cwd) => {
+  const runner = detectTestRunner(cwd);
+  if (!runner) return config;
+  return {
+    ...config,
+    overrides: [...(config.overrides || []), runnerOverrides[runner]],
+  };
+};
+
+/**
+ * Adds the globals for the project's test runner to a flat config
+ *
+ * @param {{[key: string]: any}[]} configs
+ * @param {{[runner: string]: {[key: string]: any}}} runnerOverrides
+ * @param {string} [cwd]
+ */
+const withFlatTestRunner = (configs, runnerOverrides, cwd) => {
+  const runner = detectTestRunner(cwd);
+  if (!runner) return configs;
+  return [...configs, runnerOverrides[runner]];
+};
+
+module.exports = { detectTestRunner, withTestRunner, withFlatTestRunner };
@@ -0,0 +1,140 @@
+const { existsSync } = require('node:fs');
+const { dirname, join, relative, resolve } = require('node:path');
+
+const parser = require('@typescript-eslint/parser');
+
+/** In each folder, the first of these that exists is used */
+const tsconfigNames = ['tsconfig.eslint.json', 'tsconfig.json'];
+
+/**
+ * Gets the projects that a tsconfig references, recursively
+ * In "solution" style setups, the root tsconfig doesn't include any files itself
+ *
+ * @param {string} tsconfigPath
+ * @param {Set<string>} seen
+ * @returns {string[]}
+ */
+const getReferences = (tsconfigPath, seen) => {
+  // TypeScript is only needed if there are TS files, so it is loaded lazily
+  const ts = require('typescript');
+  const { config } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+  const references = (config && config.references) || [];
+  return references.flatMap(({ path }) => {
+    const referencePath = resolve(dirname(tsconfigPath), path);
+    const referenceTsconfig = referencePath.endsWith('.json')
+      ? referencePath
+      : join(referencePath, 'tsconfig.json');
+    if (seen.has(referenceTsconfig) || !existsSync(referenceTsconfig))
+      return [];
+    seen.add(referenceTsconfig);
+    return [referenceTsconfig, ...getReferences(referenceTsconfig, seen)];
+  });
+};
+
+/** @type {Map<string, string[]>} */
+const projectsCache = new Map();
+
+/**
+ * Finds the tsconfigs that could include the files in a folder, closest first
+ * Starts in the folder and walks up to `rootDir`,
+ * so that each package in a monorepo uses its own tsconfig, wherever ESLint runs from
+ *
+ * @param {string} startDir
+ * @param {string} rootDir
+ * @returns {string[]}
+ */
+const findProjects = (startDir, rootDir) => {
+  const cacheKey = `${startDir}\0${rootDir}`;
+  const cached = projectsCache.get(cacheKey);
+  if (cached) return cached;
+
+  // Folders outside of rootDir search all the way up to the root of the file system
+  const isInRootDir = !relative(rootDir, startDir).startsWith('..');
+  /** @type {Set<string>} */
+  const projects = new Set();
+  let dir = startDir;
+  while (true) {
+    const name = tsconfigNames.find((n) => existsSync(join(dir, n)));
+    if (name) {
+      const tsconfigPath = join(dir, name);
+      projects.add(tsconfigPath);
+      for (const reference of getReferences(tsconfigPath, projects))
+        projects.add(reference);
+    }
+
+    const parent = dirname(dir);
+    if ((isInRootDir && dir === rootDir) || parent === dir) break;
+    dir = parent;
+  }
+
+  const result = [...projects];
+  projectsCache.set(cacheKey, result);
+  return result;
+};
+
+/**
+ * @param {string} filePath
+ * @param {string} rootDir
+ * @param {string[]} projects
+ */
+const notIncludedMessage = (filePath, rootDir, projects) => {
+  const file = relative(rootDir, filePath);
+  if (projects.length === 0) {
+    return `${file} is a TypeScript file, but there is no tsconfig.json in its folder or any folder above it.
+Create a tsconfig.json, or use plugin:@cloudfour/typescript-fast to lint TypeScript files without type information.`;
+  }
+
+  return `${file} is not included in any of these TypeScript projects:
+${projects.map((p) => `- ${relative(rootDir, p)}`).join('\n')}
+Add it to the "include" of one of them, or create a tsconfig.eslint.json next to ${relative(
+    rootDir,
+    projects[0]
+  )} that extends it and includes every file that should be linted (like config files and tests).`;
+};
+
+/**
+ * Creates a parsing error about the whole file, which ESLint reports at the start of the file
+ * ESLint needs a line and a 1-based column for each parsing error, like the ones from espree
+ *
+ * @param {string} message
+ */
+const createFileError = (message) =>
+  Object.assign(new Error(message), { lineNumber: 1, column: 1 });
+
+/**
+ * Wraps @typescript-eslint/parser to find the tsconfig for each file
+ * If `parserOptions.project` is set (or set to null to turn off type information),
+ * it is passed through to @typescript-eslint/parser unchanged
+ *
+ * @param {string} code
+ * @param {{[key: string]: any}} [options]
+ */
+const parseForESLint = (code, options = {}) => {
+  if (options.project !== undefined || !options.filePath)
+    return parser.parseForESLint(code, options);
+
+  const rootDir = options.tsconfigRootDir || process.cwd();
+  const filePath = resolve(rootDir, options.filePath);
+  const projects = findProjects(dirname(filePath), rootDir);
+  if (projects.length === 0)
+    throw createFileError(notIncludedMessage(filePath, rootDir, projects));
+
+  try {
+    return parser.parseForESLint(code, { ...options, project: projects });
+  } catch (error) {
+    if (
+      !String(error.message).includes(
+        'The file must be included in at least one of the projects provided'
+      )
+    )
+      throw error;
+    throw createFileError(notIncludedMessage(filePath, rootDir, projects));
+  }
+};
+
+module.exports = {
+  ...parser,
+  parseForESLint,
+  parse: (code, options) => parseForESLint(code, options).ast,
+  findProjects,
+};
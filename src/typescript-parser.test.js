@@ -0,0 +1,24 @@
+const assert = require('node:assert');
+const { mkdtempSync, rmSync } = require('node:fs');
+const { tmpdir } = require('node:os');
+const { join } = require('node:path');
+
+const { Linter } = require('eslint');
+
+const linter = new Linter();
+linter.defineParser('typescript', require('./typescript-parser'));
+
+// Files without a tsconfig are reported at the start of the file, like other parsing errors
+const rootDir = mkdtempSync(join(tmpdir(), 'typescript-parser-'));
+try {
+  const [message] = linter.verify(
+    'export const a = 1;\n',
+    { parser: 'typescript', parserOptions: { tsconfigRootDir: rootDir } },
+    join(rootDir, 'example.ts')
+  );
+  assert.strictEqual(message.fatal, true);
+  assert.strictEqual(message.line, 1);
+  assert.strictEqual(message.column, 1);
+} finally {
+  rmSync(rootDir, { recursive: true });
+}